@@ -8,19 +8,50 @@ import { router as authRoutes } from './source/routes/auth.js';
 import foodRoutes from './source/routes/food.js';
 import shopRoutes from './source/routes/shop.js';
 import cartRoutes from './source/routes/cart.js'
+import orderRoutes from './source/routes/order.js';
+import realtimeRoutes from './source/routes/realtime.js';
+import riderRoutes from './source/routes/rider.js';
+import paymentRoutes from './source/routes/payment.js';
+import walletRoutes from './source/routes/wallet.js';
+import couponRoutes from './source/routes/coupon.js';
+import comboRoutes from './source/routes/combo.js';
+import reviewRoutes from './source/routes/review.js';
+import reviewModerationRoutes from './source/routes/review-moderation.js';
+import addressRoutes from './source/routes/address.js';
+import { startInventoryScheduler } from './source/utils/inventory.js';
+import { startScheduledOrderReleaser } from './source/utils/scheduling.js';
+import { assertPaymentConfig } from './source/utils/payments.js';
 import { adminJs, adminRouter } from './source/routes/admin-panel.js';
+import Shop from './source/models/shop.js';
 
 dotenv.config(); // Load environment variables
+assertPaymentConfig(); // With online payments on, PAYMENT_PROVIDER must be set, and never to the mock provider in production
 
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body so payment webhooks can verify provider signatures
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+// Public images only. Delivery photos show customers' doors and are served via /api/orders/:id/delivery-photo.
+['foods', 'shops', 'reviews'].forEach(folder => {
+  app.use(`/uploads/${folder}`, express.static(`uploads/${folder}`));
+});
 
 // MongoDB Connection - Updated with modern syntax
 mongoose.connect(process.env.MONGO_URI)
-  .then(() => console.log('✅ MongoDB Connected'))
+  .then(() => {
+    console.log('✅ MongoDB Connected');
+    Shop.backfillDeliveryReach()
+      .then(count => count && console.log(`📍 Delivery reach stored for ${count} shops`))
+      .catch(error => console.error('Delivery reach backfill error:', error));
+    startInventoryScheduler();
+    startScheduledOrderReleaser();
+  })
   .catch((err) => {
     console.error('❌ MongoDB connection failed:', err.message);
     console.error('💡 Common solutions:');
@@ -66,8 +97,18 @@ app.get('/', (req, res) => {
 // Application Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/cart', cartRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/addresses', addressRoutes);
+app.use('/api/coupons', couponRoutes);
 app.use('/api/foods', foodRoutes);
+app.use('/api/shops/:id/combos', comboRoutes);
+app.use('/api/shops/:id/reviews', reviewRoutes);
 app.use('/api/shops', shopRoutes);
+app.use('/api/riders', riderRoutes);
+app.use('/api/realtime', realtimeRoutes);
+app.use('/api/admin/reviews', reviewModerationRoutes);
 
 // Global Error Handler
 app.use((err, req, res, next) => {
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// One dish in a combo. swapOptions lists foods from the same menu category the customer may pick instead.
+const comboComponentSchema = new mongoose.Schema({
+  food: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Food',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  swapOptions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Food'
+  }]
+});
+
+// A bundle of foods sold together at one price, e.g. burger + fries + drink
+const ComboSchema = new mongoose.Schema({
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Combo name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  image: {
+    type: String
+  },
+  price: {
+    type: Number,
+    required: [true, 'Combo price is required'],
+    min: 1
+  },
+  components: {
+    type: [comboComponentSchema],
+    validate: [components => components.length >= 2, 'A combo needs at least two items']
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+ComboSchema.index({ shop: 1, isAvailable: 1 });
+
+const Combo = mongoose.models.Combo || mongoose.model('Combo', ComboSchema);
+
+export default Combo;
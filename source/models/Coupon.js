@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+// Promo code. Leave both shops and cuisines empty for a platform-wide coupon.
+const CouponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,20}$/, 'Coupon code must be 3-20 letters, digits, - or _']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  discountType: {
+    type: String,
+    enum: ['flat', 'percentage'],
+    required: true
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxDiscount: {
+    type: Number, // Cap for percentage coupons; unset means no cap
+    min: 0
+  },
+  usageLimit: {
+    type: Number, // Total redemptions across all users; unset means unlimited
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date
+  },
+  shops: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop'
+  }],
+  cuisines: [{
+    type: String,
+    trim: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+CouponSchema.path('discountValue').validate(function(value) {
+  return this.discountType !== 'percentage' || value <= 100;
+}, 'Percentage discount cannot exceed 100');
+
+CouponSchema.index({ isActive: 1, validFrom: 1, validUntil: 1 });
+CouponSchema.index({ shops: 1 });
+
+// Filter for coupons that can be redeemed right now
+CouponSchema.statics.activeFilter = function(now = new Date()) {
+  return {
+    isActive: true,
+    validFrom: { $lte: now },
+    $or: [{ validUntil: null }, { validUntil: { $gte: now } }]
+  };
+};
+
+const Coupon = mongoose.models.Coupon || mongoose.model('Coupon', CouponSchema);
+
+export default Coupon;
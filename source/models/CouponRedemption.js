@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// How many times one customer currently has a coupon in use. Checkout takes a use with a
+// guarded $inc, so concurrent checkouts can't go past the coupon's per-user limit.
+const CouponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+CouponRedemptionSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+// Give a use back, e.g. when the order it was used on is cancelled
+CouponRedemptionSchema.statics.release = function(couponId, userId) {
+  return this.updateOne({ coupon: couponId, user: userId, count: { $gt: 0 } }, { $inc: { count: -1 } });
+};
+
+const CouponRedemption = mongoose.models.CouponRedemption || mongoose.model('CouponRedemption', CouponRedemptionSchema);
+
+export default CouponRedemption;
@@ -1,5 +1,48 @@
 import mongoose from 'mongoose';
 
+// One choice inside an option group, e.g. "Large" or "Extra cheese"
+const foodOptionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    priceDelta: {
+        type: Number,
+        default: 0
+    },
+    isAvailable: {
+        type: Boolean,
+        default: true
+    }
+});
+
+// Variants ("Size", pick one) and add-ons ("Toppings", pick several)
+const optionGroupSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ['single', 'multiple'],
+        default: 'single'
+    },
+    required: {
+        type: Boolean,
+        default: false
+    },
+    maxSelect: {
+        type: Number, // Only for multiple-select groups; unset means no limit
+        min: 1
+    },
+    options: {
+        type: [foodOptionSchema],
+        validate: [options => options.length > 0, 'An option group needs at least one option']
+    }
+});
+
 const FoodSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -21,6 +64,22 @@ const FoodSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // Optional portion count. Left unset, the item is not stock-tracked and only instock applies.
+    stockQuantity: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    // Portions to restore every morning; unset means no daily reset
+    dailyParLevel: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    stockResetAt: {
+        type: Date
+    },
+    optionGroups: [optionGroupSchema],
     veg: {
         type: Boolean,
         default: false
@@ -37,6 +96,23 @@ const FoodSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Aggregated from FoodReview; distribution holds counts for 1 to 5 stars
+    rating: {
+        average: {
+            type: Number,
+            default: 0,
+            min: 0,
+            max: 5
+        },
+        count: {
+            type: Number,
+            default: 0
+        },
+        distribution: {
+            type: [Number],
+            default: () => [0, 0, 0, 0, 0]
+        }
+    },
     image: {
         type: String,
         required: true
@@ -49,6 +125,11 @@ const FoodSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    // The shop whose menu lists this dish
+    shop: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shop'
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
@@ -67,6 +148,36 @@ FoodSchema.pre('save', function(next) {
     next();
 });
 
+FoodSchema.index({ 'rating.average': -1 });
+FoodSchema.index({ shop: 1 });
+
+// Whether the dish is on this shop's menu. Listings from before the `shop` field
+// belong to the shop whose owner created them.
+FoodSchema.methods.isListedBy = function(shop) {
+    if (this.shop) {
+        return this.shop.equals(shop._id);
+    }
+    return Boolean(this.createdBy && shop.owner && this.createdBy.equals(shop.owner));
+};
+
+// Recompute a dish's rating from its reviews, so edits and deletions are reflected too
+FoodSchema.statics.recalculateRating = async function(foodId) {
+    const buckets = await mongoose.model('FoodReview').aggregate([
+        { $match: { food: new mongoose.Types.ObjectId(foodId) } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]);
+    const distribution = [1, 2, 3, 4, 5].map(stars => buckets.find(bucket => bucket._id === stars)?.count || 0);
+    const count = distribution.reduce((sum, n) => sum + n, 0);
+    const total = distribution.reduce((sum, n, index) => sum + n * (index + 1), 0);
+    const rating = {
+        average: count ? Math.round(total / count * 10) / 10 : 0,
+        count,
+        distribution
+    };
+    await this.updateOne({ _id: foodId }, { rating });
+    return rating;
+};
+
 const Food = mongoose.model('Food', FoodSchema);
 
 export default Food;
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// A customer's rating for one dish from a delivered order
+const FoodReviewSchema = new mongoose.Schema({
+  food: { type: mongoose.Schema.Types.ObjectId, ref: 'Food', required: true },
+  shop: { type: mongoose.Schema.Types.ObjectId, ref: 'Shop', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  comment: { type: String, trim: true, maxlength: 500 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date }
+});
+
+// One rating per dish per order
+FoodReviewSchema.index({ order: 1, food: 1 }, { unique: true });
+FoodReviewSchema.index({ food: 1, createdAt: -1 });
+
+// Keep Food.rating in step with every add, edit and delete
+const recalculateFoodRating = async (review) => {
+  if (review) {
+    await mongoose.model('Food').recalculateRating(review.food);
+  }
+};
+
+FoodReviewSchema.post('save', recalculateFoodRating);
+FoodReviewSchema.post('findOneAndUpdate', recalculateFoodRating);
+FoodReviewSchema.post('findOneAndDelete', recalculateFoodRating);
+FoodReviewSchema.post('deleteOne', { document: true, query: false }, recalculateFoodRating);
+
+const FoodReview = mongoose.models.FoodReview || mongoose.model('FoodReview', FoodReviewSchema);
+
+export default FoodReview;
@@ -1,5 +1,15 @@
 // models/Order.js
 import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Option chosen for a line, copied from Food.optionGroups so later menu edits don't change it
+const selectedOptionSchema = new mongoose.Schema({
+  groupId: { type: mongoose.Schema.Types.ObjectId },
+  groupName: { type: String },
+  optionId: { type: mongoose.Schema.Types.ObjectId },
+  name: { type: String },
+  priceDelta: { type: Number, default: 0 }
+}, { _id: false });
 
 const orderItemSchema = new mongoose.Schema({
   foodId: {
@@ -24,9 +34,41 @@ const orderItemSchema = new mongoose.Schema({
   foodName: {
     type: String,
     required: true
+  },
+  selectedOptions: [selectedOptionSchema],
+  // Set when the item was ordered as part of a combo; price is its share of the bundle price
+  combo: {
+    comboId: { type: mongoose.Schema.Types.ObjectId, ref: 'Combo' },
+    name: { type: String }
   }
 }, { _id: false });
 
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: {
+    type: String,
+    enum: ['customer', 'shop', 'rider', 'admin', 'system']
+  },
+  reason: {
+    type: String
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+function isDeliveryOrder() {
+  return this.fulfillmentType !== 'pickup';
+}
+
 const OrderSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -56,6 +98,18 @@ const OrderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  // Orders placed in the same checkout (one per shop) share this ID and their payment
+  checkoutGroup: {
+    type: String
+  },
+  coupon: {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+    code: { type: String }
+  },
   grandTotal: {
     type: Number,
     required: true
@@ -63,11 +117,64 @@ const OrderSchema = new mongoose.Schema({
   deliveryTime: {
     type: Number // in minutes
   },
+  preparationTime: {
+    type: Number, // in minutes, set by the shop when accepting
+    min: 1
+  },
+  readyAt: {
+    type: Date
+  },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'preparing', 'out_for_delivery', 'delivered', 'cancelled'],
+    enum: ['scheduled', 'pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'cancelled'],
     default: 'pending'
   },
+  statusHistory: [statusHistorySchema],
+  // Pickup orders are collected at the shop: no address, delivery fee or rider
+  fulfillmentType: {
+    type: String,
+    enum: ['delivery', 'pickup'],
+    default: 'delivery'
+  },
+  // Shown by the customer at the counter to collect a pickup order
+  pickupCode: {
+    type: String
+  },
+  estimatedReadyTime: {
+    type: Date
+  },
+  // Delivery slot chosen by the customer. Scheduled orders wait in 'scheduled' until their release time.
+  scheduledFor: {
+    type: Date
+  },
+  releaseAt: {
+    type: Date
+  },
+  rider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  riderAssignedAt: {
+    type: Date
+  },
+  pickedUpAt: {
+    type: Date
+  },
+  // Proof of delivery: the customer reads the OTP to the rider, who may also take a photo
+  deliveryOtp: {
+    type: String
+  },
+  proofOfDelivery: {
+    otpVerifiedAt: { type: Date },
+    photo: { type: String }, // Authenticated URL; the photo shows the customer's door, so it is never public
+    photoFile: { type: String }, // Stored file name under uploads/deliveries
+    photoUploadedAt: { type: Date }
+  },
+  riderEarning: {
+    distanceKm: { type: Number },
+    amount: { type: Number },
+    payout: { type: mongoose.Schema.Types.ObjectId, ref: 'RiderPayout' }
+  },
   paymentMethod: {
     type: String,
     enum: ['cod', 'card', 'upi', 'wallet'],
@@ -81,12 +188,40 @@ const OrderSchema = new mongoose.Schema({
   paymentId: {
     type: String
   },
+  paymentProvider: {
+    type: String
+  },
+  paymentIntentId: {
+    type: String
+  },
+  paidAt: {
+    type: Date
+  },
+  refundId: {
+    type: String
+  },
+  refundedAt: {
+    type: Date
+  },
+  // Set once the checkout's coupon use has been given back, so it is only given back once
+  couponReleasedAt: {
+    type: Date
+  },
+  refundedTo: {
+    type: String,
+    enum: ['original', 'wallet']
+  },
   deliveryAddress: {
-    street: { type: String, required: true },
-    city: { type: String, required: true },
-    state: { type: String, required: true },
-    pincode: { type: String, required: true },
-    landmark: String
+    street: { type: String, required: isDeliveryOrder },
+    city: { type: String, required: isDeliveryOrder },
+    state: { type: String, required: isDeliveryOrder },
+    pincode: { type: String, required: isDeliveryOrder },
+    landmark: String,
+    // Drop-off point used for distance-based delivery pricing
+    location: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined } // [longitude, latitude]
+    }
   },
   phoneNumber: {
     type: String,
@@ -125,6 +260,16 @@ OrderSchema.pre('save', function(next) {
     const randomNum = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
     this.orderId = `ORD${timestamp}${randomNum}`;
   }
+  if (this.isNew && this.fulfillmentType === 'pickup' && !this.pickupCode) {
+    this.pickupCode = crypto.randomInt(1000, 10000).toString();
+  }
+  if (this.isNew && this.fulfillmentType !== 'pickup' && !this.deliveryOtp) {
+    this.deliveryOtp = crypto.randomInt(1000, 10000).toString();
+  }
+  // Record the initial status so the history always starts from placement
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.userId, role: 'customer' });
+  }
   next();
 });
 
@@ -132,6 +277,12 @@ OrderSchema.pre('save', function(next) {
 OrderSchema.index({ userId: 1, createdAt: -1 });
 OrderSchema.index({ shopId: 1, createdAt: -1 });
 OrderSchema.index({ status: 1 });
+OrderSchema.index({ rider: 1, status: 1 });
+OrderSchema.index({ paymentIntentId: 1 });
+OrderSchema.index({ userId: 1, 'coupon.couponId': 1 });
+OrderSchema.index({ checkoutGroup: 1 });
+OrderSchema.index({ status: 1, releaseAt: 1 });
+OrderSchema.index({ shopId: 1, scheduledFor: 1 });
 OrderSchema.index({ orderId: 1 }); // Keep this one, remove the "index: true" from schema field
 
 const Order = mongoose.models.Order || mongoose.model('Order', OrderSchema);
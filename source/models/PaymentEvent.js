@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// Every verified webhook from a payment provider, kept for audit and replay
+const PaymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  intentId: {
+    type: String
+  },
+  paymentId: {
+    type: String
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  signature: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  // When the current delivery started applying the event; a stale one can be taken over
+  processingStartedAt: {
+    type: Date
+  },
+  error: {
+    type: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// A provider may deliver the same event more than once; store it only once
+PaymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+PaymentEventSchema.index({ status: 1, createdAt: -1 });
+
+const PaymentEvent = mongoose.models.PaymentEvent || mongoose.model('PaymentEvent', PaymentEventSchema);
+
+export default PaymentEvent;
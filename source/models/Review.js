@@ -1,13 +1,56 @@
 import mongoose from 'mongoose';
 
+const reviewReportSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reason: { type: String, required: true, trim: true, maxlength: 500 },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const ReviewSchema = new mongoose.Schema({
   shopId: { type: mongoose.Schema.Types.ObjectId, ref: 'Shop', required: true },
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // The delivered order this review is for; one review per order
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
   rating: { type: Number, required: true, min: 1, max: 5 },
-  comment: { type: String },
-  createdAt: { type: Date, default: Date.now }
+  comment: { type: String, trim: true, maxlength: 1000 },
+  photos: [{ type: String }],
+  // Public answer from the shop owner
+  ownerReply: {
+    text: { type: String, trim: true, maxlength: 1000 },
+    repliedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    repliedAt: { type: Date }
+  },
+  // Abuse reports from users; reported reviews wait in the admin moderation queue
+  reports: [reviewReportSchema],
+  reportCount: { type: Number, default: 0 },
+  // Hidden reviews are not listed and don't count towards Shop.rating
+  status: { type: String, enum: ['visible', 'hidden'], default: 'visible' },
+  moderation: {
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    note: { type: String }
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date }
 });
 
+ReviewSchema.index({ orderId: 1 }, { unique: true, sparse: true });
+ReviewSchema.index({ shopId: 1, createdAt: -1 });
+ReviewSchema.index({ shopId: 1, rating: -1 });
+ReviewSchema.index({ reportCount: -1, createdAt: -1 });
+
+// Keep Shop.rating in step with every add, edit, delete and moderation change, including ones made in the admin panel
+const recalculateShopRating = async (review) => {
+  if (review) {
+    await mongoose.model('Shop').recalculateRating(review.shopId);
+  }
+};
+
+ReviewSchema.post('save', recalculateShopRating);
+ReviewSchema.post('findOneAndUpdate', recalculateShopRating);
+ReviewSchema.post('findOneAndDelete', recalculateShopRating);
+ReviewSchema.post('deleteOne', { document: true, query: false }, recalculateShopRating);
+
 const Review = mongoose.model('Review', ReviewSchema);
 
-export default Review;
\ No newline at end of file
+export default Review;
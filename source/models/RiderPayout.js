@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// One payout batch per rider, covering the delivered orders that were not yet paid out
+const RiderPayoutSchema = new mongoose.Schema({
+  rider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  deliveries: {
+    type: Number,
+    default: 0
+  },
+  distanceKm: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['unsettled', 'settled'],
+    default: 'unsettled'
+  },
+  periodStart: {
+    type: Date
+  },
+  periodEnd: {
+    type: Date
+  },
+  reference: {
+    type: String, // Bank / UPI transaction reference once paid
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  settledAt: {
+    type: Date
+  },
+  settledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+RiderPayoutSchema.index({ rider: 1, createdAt: -1 });
+RiderPayoutSchema.index({ status: 1 });
+
+const RiderPayout = mongoose.models.RiderPayout || mongoose.model('RiderPayout', RiderPayoutSchema);
+
+export default RiderPayout;
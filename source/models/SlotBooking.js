@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Places taken in one scheduled delivery slot of a shop. Checkout reserves a place with a
+// guarded $inc, so the count never passes the slot's capacity.
+const SlotBookingSchema = new mongoose.Schema({
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: true
+  },
+  slot: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+SlotBookingSchema.index({ shop: 1, slot: 1 }, { unique: true });
+
+// Give a place back, e.g. when a scheduled order is cancelled
+SlotBookingSchema.statics.release = function(shopId, slot) {
+  return this.updateOne({ shop: shopId, slot, count: { $gt: 0 } }, { $inc: { count: -1 } });
+};
+
+const SlotBooking = mongoose.models.SlotBooking || mongoose.model('SlotBooking', SlotBookingSchema);
+
+export default SlotBooking;
@@ -1,5 +1,35 @@
 import mongoose from 'mongoose';
 
+// Saved delivery address. The map pin drives delivery fees and shop serviceability.
+const savedAddressSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        trim: true,
+        maxlength: 30,
+        default: 'Home' // e.g. Home, Work
+    },
+    street: { type: String, required: [true, 'Street is required'], trim: true },
+    city: { type: String, required: [true, 'City is required'], trim: true },
+    state: { type: String, required: [true, 'State is required'], trim: true },
+    pincode: { type: String, required: [true, 'Pincode is required'], trim: true },
+    landmark: { type: String, trim: true },
+    location: {
+        type: {
+            type: String,
+            enum: ['Point'],
+            default: 'Point'
+        },
+        coordinates: {
+            type: [Number], // [longitude, latitude]
+            validate: [coordinates => coordinates.length === 2, 'Address coordinates are required']
+        }
+    },
+    isDefault: {
+        type: Boolean,
+        default: false
+    }
+}, { timestamps: true });
+
 const UserSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -30,6 +60,7 @@ const UserSchema = new mongoose.Schema({
         zipCode: { type: String, trim: true },
         country: { type: String, trim: true, default: 'India' }
     },
+    addresses: [savedAddressSchema],
     role: {
         type: String,
         enum: ['customer', 'deliveryBoy', 'admin', 'restaurantOwner'],
@@ -61,11 +92,54 @@ const UserSchema = new mongoose.Schema({
     },
     lastLogin: {
         type: Date
+    },
+    // Live state for delivery riders (role 'deliveryBoy')
+    riderStatus: {
+        isOnShift: {
+            type: Boolean,
+            default: false
+        },
+        isAvailable: {
+            type: Boolean,
+            default: false
+        },
+        location: {
+            type: {
+                type: String,
+                enum: ['Point']
+            },
+            coordinates: {
+                type: [Number], // [longitude, latitude]
+                default: undefined
+            }
+        },
+        lastLocationAt: {
+            type: Date
+        }
     }
 }, {
     timestamps: true
 });
 
+UserSchema.index({ 'riderStatus.location': '2dsphere' });
+
+UserSchema.statics.findNearbyRiders = function(longitude, latitude, maxDistance = 5000) {
+    return this.find({
+        'riderStatus.location': {
+            $near: {
+                $geometry: {
+                    type: 'Point',
+                    coordinates: [longitude, latitude]
+                },
+                $maxDistance: maxDistance
+            }
+        },
+        'riderStatus.isOnShift': true,
+        'riderStatus.isAvailable': true,
+        isActive: true
+    });
+};
+
 const User = mongoose.model('User', UserSchema);
 
 export default User;
\ No newline at end of file
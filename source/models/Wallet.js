@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// One wallet per user. The balance only changes through utils/wallet.js,
+// which writes a WalletTransaction for every credit and debit.
+const WalletSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  balance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  }
+}, {
+  timestamps: true
+});
+
+const Wallet = mongoose.models.Wallet || mongoose.model('Wallet', WalletSchema);
+
+export default Wallet;
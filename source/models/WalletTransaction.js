@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// Ledger entry for a wallet. Top-ups start as pending until the payment provider confirms them.
+const WalletTransactionSchema = new mongoose.Schema({
+  wallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['topup', 'order_payment', 'order_refund', 'goodwill'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  balanceAfter: {
+    type: Number
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'completed'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  reference: {
+    type: String // Payment intent ID for top-ups, checkout group for order payments
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+WalletTransactionSchema.index({ user: 1, createdAt: -1 });
+WalletTransactionSchema.index({ reference: 1 });
+
+const WalletTransaction = mongoose.models.WalletTransaction || mongoose.model('WalletTransaction', WalletTransactionSchema);
+
+export default WalletTransaction;
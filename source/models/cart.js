@@ -1,11 +1,38 @@
 import mongoose from 'mongoose';
 
-const cartItemSchema = new mongoose.Schema({
+// Option chosen for a line, copied from Food.optionGroups so later menu edits don't change it
+const selectedOptionSchema = new mongoose.Schema({
+  groupId: { type: mongoose.Schema.Types.ObjectId },
+  groupName: { type: String },
+  optionId: { type: mongoose.Schema.Types.ObjectId },
+  name: { type: String },
+  priceDelta: { type: Number, default: 0 }
+}, { _id: false });
+
+// A dish inside a combo line, after any swaps
+const comboItemSchema = new mongoose.Schema({
   food: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Food',
     required: true
   },
+  foodName: { type: String },
+  quantity: { type: Number, default: 1, min: 1 },
+  menuPrice: { type: Number } // Price on its own, used to split the bundle price at checkout
+}, { _id: false });
+
+const cartItemSchema = new mongoose.Schema({
+  // A line is either a single food or a combo
+  food: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Food',
+    required: function() { return !this.combo; }
+  },
+  combo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Combo'
+  },
+  comboItems: [comboItemSchema],
   shop: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Shop',
@@ -18,12 +45,18 @@ const cartItemSchema = new mongoose.Schema({
     default: 1
   },
   price: {
-    type: Number,
+    type: Number, // Unit price: base price plus selected option deltas
     required: true
   },
   subtotal: {
     type: Number,
     required: true
+  },
+  selectedOptions: [selectedOptionSchema],
+  // Sorted option IDs (or combo swaps); lines for the same food with different choices stay separate
+  optionsKey: {
+    type: String,
+    default: ''
   }
 }, { _id: false });
 
@@ -39,6 +72,16 @@ const cartSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  couponCode: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  fulfillmentType: {
+    type: String,
+    enum: ['delivery', 'pickup'],
+    default: 'delivery'
+  },
   isCheckedOut: {
     type: Boolean,
     default: false
@@ -1,5 +1,30 @@
 import mongoose from 'mongoose';
 
+// Shops that haven't set a deliveryRadius or deliveryZone deliver this far
+export const DEFAULT_DELIVERY_RADIUS_KM = 10;
+
+// Ray casting on [longitude, latitude] pairs; fine at city scale
+const isPointInRing = ([x, y], ring) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+// A GeoJSON polygon: closed rings of at least four valid [longitude, latitude] positions
+const isValidPolygon = (rings) => rings.length > 0 && rings.every(ring => {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return ring.length >= 4 &&
+        ring.every(([lon, lat]) => lon >= -180 && lon <= 180 && lat >= -90 && lat <= 90) &&
+        first[0] === last[0] && first[1] === last[1];
+});
+
 const shopSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -116,6 +141,37 @@ const shopSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // Farthest drop-off (km, straight line) the shop delivers to, unless it has a deliveryZone.
+    // Unset means DEFAULT_DELIVERY_RADIUS_KM; there is no schema default so "set by the shop" stays visible.
+    deliveryRadius: {
+        type: Number,
+        min: 1
+    },
+    // Optional GeoJSON polygon drawn by the shop; replaces deliveryRadius when set
+    deliveryZone: {
+        type: {
+            type: String,
+            enum: ['Polygon']
+        },
+        coordinates: {
+            type: [[[Number]]], // [ring][position][longitude, latitude]
+            default: undefined,
+            validate: [
+                rings => !rings || isValidPolygon(rings),
+                'Delivery zone must be a closed polygon of [longitude, latitude] points'
+            ]
+        }
+    },
+    // Farthest drop-off from the shop in km (zone corner or radius). Kept in sync by the
+    // save and update hooks below so listings can size their search with one indexed lookup.
+    deliveryReachKm: {
+        type: Number
+    },
+    // Customers collect the order at the counter; independent of deliveryAvailable
+    pickupAvailable: {
+        type: Boolean,
+        default: false
+    },
     minOrderValue: {
         type: Number,
         default: 0,
@@ -131,6 +187,28 @@ const shopSchema = new mongoose.Schema({
         default: 0,
         min: 0
     },
+    // Scheduled orders: customers pick a slot within opening hours, up to maxDaysAhead days out
+    scheduling: {
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        slotDurationMinutes: {
+            type: Number,
+            default: 30,
+            min: 15
+        },
+        slotCapacity: {
+            type: Number,
+            default: 10,
+            min: 1
+        },
+        maxDaysAhead: {
+            type: Number,
+            default: 3,
+            min: 0
+        }
+    },
     openTime: {
         type: String,
         required: [true, 'Opening time is required'],
@@ -181,6 +259,7 @@ shopSchema.index({
 shopSchema.index({ cuisine: 1, isActive: 1 });
 shopSchema.index({ 'rating.average': -1 });
 shopSchema.index({ isFeatured: -1, isActive: 1 });
+shopSchema.index({ isActive: 1, deliveryReachKm: -1 });
 
 // Virtuals
 shopSchema.virtual('fullAddress').get(function() {
@@ -206,11 +285,115 @@ shopSchema.methods.calculateDistance = function(latitude, longitude) {
     return Math.round(R * c * 100) / 100;
 };
 
-shopSchema.methods.updateRating = async function(newRating) {
-    const total = this.rating.average * this.rating.count;
-    this.rating.count += 1;
-    this.rating.average = Math.round(((total + newRating) / this.rating.count) * 10) / 10;
-    return this.save();
+// Base delivery charge covers the first 5 km, then 2 per extra km
+shopSchema.methods.calculateDeliveryCharge = function(distance) {
+    return distance > 5 ?
+        this.deliveryCharge + Math.round(distance - 5) * 2 :
+        this.deliveryCharge;
+};
+
+/**
+ * Whether the shop delivers to a point: inside its deliveryZone polygon when it has one
+ * (and outside any holes), otherwise within deliveryRadius of the shop.
+ */
+shopSchema.methods.deliversTo = function(latitude, longitude) {
+    const distance = this.location?.coordinates?.length ? this.calculateDistance(latitude, longitude) : null;
+
+    if (this.deliveryAvailable === false) {
+        return { serviceable: false, distance, zone: null };
+    }
+
+    if (this.deliveryZone?.type === 'Polygon' && this.deliveryZone.coordinates?.length) {
+        const [outerRing, ...holes] = this.deliveryZone.coordinates;
+        const point = [longitude, latitude];
+        const serviceable = isPointInRing(point, outerRing) && !holes.some(hole => isPointInRing(point, hole));
+        return { serviceable, distance, zone: 'polygon' };
+    }
+
+    const radius = this.deliveryRadius || DEFAULT_DELIVERY_RADIUS_KM;
+    return { serviceable: distance !== null && distance <= radius, distance, zone: 'radius', radius };
+};
+
+// Whether the shop limits where it delivers, with a drawn zone or a radius it set itself
+shopSchema.methods.hasDeliveryArea = function() {
+    return this.deliveryZone?.type === 'Polygon' || this.deliveryRadius != null;
+};
+
+// $match stage for aggregations that start with $geoNear (distanceField 'distance', in meters):
+// the same rule as deliversTo, evaluated in the database
+shopSchema.statics.deliveryZoneMatch = function(longitude, latitude) {
+    return {
+        $match: {
+            deliveryAvailable: { $ne: false },
+            $or: [
+                {
+                    'deliveryZone.type': 'Polygon',
+                    deliveryZone: {
+                        $geoIntersects: { $geometry: { type: 'Point', coordinates: [longitude, latitude] } }
+                    }
+                },
+                {
+                    'deliveryZone.type': { $ne: 'Polygon' },
+                    $expr: {
+                        $lte: ['$distance', { $multiply: [{ $ifNull: ['$deliveryRadius', DEFAULT_DELIVERY_RADIUS_KM] }, 1000] }]
+                    }
+                }
+            ]
+        }
+    };
+};
+
+// Farthest from the shop (km) that it delivers: the far corner of its zone, or its radius
+shopSchema.methods.computeDeliveryReach = function() {
+    if (this.deliveryZone?.type === 'Polygon' && this.deliveryZone.coordinates?.length &&
+        this.location?.coordinates?.length) {
+        return Math.max(...this.deliveryZone.coordinates[0].map(([longitude, latitude]) =>
+            this.calculateDistance(latitude, longitude)));
+    }
+    return this.deliveryRadius ?? DEFAULT_DELIVERY_RADIUS_KM;
+};
+
+// Farthest any shop delivers, in meters.
+// $geoNear searches that keep only shops delivering to the customer must reach at least this far.
+shopSchema.statics.maxDeliveryReach = async function() {
+    const farthest = await this.findOne({ isActive: true })
+        .sort({ deliveryReachKm: -1 })
+        .select('deliveryReachKm')
+        .lean();
+    const reachKm = Math.max(DEFAULT_DELIVERY_RADIUS_KM, farthest?.deliveryReachKm || 0);
+    return Math.ceil(reachKm) * 1000;
+};
+
+// Fill in deliveryReachKm for shops stored before it existed. Run once at startup.
+shopSchema.statics.backfillDeliveryReach = async function() {
+    const shops = await this.find({ deliveryReachKm: null }).select('location deliveryRadius deliveryZone');
+    if (shops.length === 0) return 0;
+    await this.bulkWrite(shops.map(shop => ({
+        updateOne: {
+            filter: { _id: shop._id },
+            update: { $set: { deliveryReachKm: shop.computeDeliveryReach() } }
+        }
+    })));
+    return shops.length;
+};
+
+// Recompute the rating from the shop's visible reviews, so edited, deleted and hidden reviews are reflected too
+shopSchema.statics.recalculateRating = async function(shopId) {
+    const [stats] = await mongoose.model('Review').aggregate([
+        { $match: { shopId: new mongoose.Types.ObjectId(shopId), status: { $ne: 'hidden' } } },
+        { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+    const rating = {
+        average: stats ? Math.round(stats.average * 10) / 10 : 0,
+        count: stats ? stats.count : 0
+    };
+    await this.updateOne({ _id: shopId }, { rating });
+    return rating;
+};
+
+shopSchema.methods.updateRating = async function() {
+    this.rating = await this.constructor.recalculateRating(this._id);
+    return this;
 };
 
 shopSchema.statics.findNearby = function(longitude, latitude, maxDistance = 10000) {
@@ -235,9 +418,28 @@ shopSchema.pre('save', function(next) {
             return next(new Error('Invalid coordinates.'));
         }
     }
+    if (this.isNew || this.deliveryReachKm == null || this.isModified('location') ||
+        this.isModified('deliveryRadius') || this.isModified('deliveryZone')) {
+        this.deliveryReachKm = this.computeDeliveryReach();
+    }
     next();
 });
 
+const DELIVERY_REACH_FIELDS = ['location', 'deliveryRadius', 'deliveryZone'];
+
+// The shop update route and the admin panel write with findOneAndUpdate, which skips the save hook
+shopSchema.post('findOneAndUpdate', async function(doc) {
+    const update = this.getUpdate() || {};
+    const paths = Object.keys({ ...update, ...update.$set, ...update.$unset });
+    const touchesReach = paths.some(path => DELIVERY_REACH_FIELDS.includes(path.split('.')[0]));
+    if (!doc || !touchesReach) return;
+
+    const shop = await this.model.findById(doc._id).select('location deliveryRadius deliveryZone');
+    if (shop) {
+        await this.model.updateOne({ _id: shop._id }, { $set: { deliveryReachKm: shop.computeDeliveryReach() } });
+    }
+});
+
 shopSchema.set('toJSON', { virtuals: true });
 shopSchema.set('toObject', { virtuals: true });
 
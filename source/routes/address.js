@@ -0,0 +1,204 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { verifyAccessToken as authenticateToken } from '../routes/auth.js';
+import { getDeliveryCoordinates } from '../utils/pricing.js';
+import { MAX_SAVED_ADDRESSES } from '../utils/addresses.js';
+
+// Mounted at /api/addresses: the logged in customer's address book
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const ADDRESS_FIELDS = ['label', 'street', 'city', 'state', 'pincode', 'landmark'];
+
+const loadUser = async (req, res) => {
+  const user = await User.findById(req.user.id).select('addresses');
+  if (!user) {
+    res.status(404).json({ success: false, message: 'User not found' });
+    return null;
+  }
+  return user;
+};
+
+const findAddress = (req, res, user) => {
+  const address = mongoose.isValidObjectId(req.params.addressId) ?
+    user.addresses.id(req.params.addressId) :
+    null;
+  if (!address) {
+    res.status(404).json({ success: false, message: 'Address not found' });
+  }
+  return address;
+};
+
+// Exactly one default address whenever the book isn't empty
+const setDefaultAddress = (user, address) => {
+  user.addresses.forEach(entry => {
+    entry.isDefault = entry._id.equals(address._id);
+  });
+};
+
+const sendAddressError = (res, error, label, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+  console.error(`${label}:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// Saved addresses, default first
+router.get('/', async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const addresses = [...user.addresses].sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+
+    res.json({
+      success: true,
+      addresses
+    });
+  } catch (error) {
+    sendAddressError(res, error, 'Get addresses error', 'Server error while fetching addresses');
+  }
+});
+
+// Save a new address with its map pin ({ latitude, longitude })
+router.post('/', async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    if (user.addresses.length >= MAX_SAVED_ADDRESSES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_SAVED_ADDRESSES} addresses. Remove one to add another.`
+      });
+    }
+
+    const coordinates = getDeliveryCoordinates(req.body);
+    if (!coordinates) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid latitude and longitude are required'
+      });
+    }
+
+    const fields = Object.fromEntries(ADDRESS_FIELDS.map(field => [field, req.body[field]]));
+    user.addresses.push({
+      ...fields,
+      location: { type: 'Point', coordinates: [coordinates.longitude, coordinates.latitude] }
+    });
+    const address = user.addresses[user.addresses.length - 1];
+
+    // The first address, or one saved as default, becomes the default
+    if (user.addresses.length === 1 || req.body.isDefault === true) {
+      setDefaultAddress(user, address);
+    }
+
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Address saved',
+      address
+    });
+  } catch (error) {
+    sendAddressError(res, error, 'Add address error', 'Server error while saving address');
+  }
+});
+
+router.put('/:addressId', async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const address = findAddress(req, res, user);
+    if (!address) return;
+
+    ADDRESS_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) address[field] = req.body[field];
+    });
+
+    if (req.body.latitude !== undefined || req.body.longitude !== undefined) {
+      const coordinates = getDeliveryCoordinates(req.body);
+      if (!coordinates) {
+        return res.status(400).json({
+          success: false,
+          message: 'A valid latitude and longitude are required'
+        });
+      }
+      address.location = { type: 'Point', coordinates: [coordinates.longitude, coordinates.latitude] };
+    }
+
+    if (req.body.isDefault === true) {
+      setDefaultAddress(user, address);
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Address updated',
+      address
+    });
+  } catch (error) {
+    sendAddressError(res, error, 'Update address error', 'Server error while updating address');
+  }
+});
+
+router.patch('/:addressId/default', async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const address = findAddress(req, res, user);
+    if (!address) return;
+
+    setDefaultAddress(user, address);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Default address updated',
+      address
+    });
+  } catch (error) {
+    sendAddressError(res, error, 'Set default address error', 'Server error while updating address');
+  }
+});
+
+router.delete('/:addressId', async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const address = findAddress(req, res, user);
+    if (!address) return;
+
+    const wasDefault = address.isDefault;
+    address.deleteOne();
+
+    // Promote the oldest remaining address so there is still a default
+    if (wasDefault && user.addresses.length > 0) {
+      setDefaultAddress(user, user.addresses[0]);
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Address removed'
+    });
+  } catch (error) {
+    sendAddressError(res, error, 'Delete address error', 'Server error while removing address');
+  }
+});
+
+export default router;
@@ -2,6 +2,7 @@
 import AdminJS, { ComponentLoader } from 'adminjs';
 import AdminJSExpress from '@adminjs/express';
 import session from 'express-session';
+import mongoose from 'mongoose';
 import MongoStore from 'connect-mongo';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -10,7 +11,16 @@ import Shop from '../models/shop.js';
 import Food from '../models/Food.js';
 import Order from '../models/Order.js';
 import Review from '../models/Review.js';
+import FoodReview from '../models/FoodReview.js';
 import Cart from '../models/cart.js'; // <-- Import Cart
+import RiderPayout from '../models/RiderPayout.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import Wallet from '../models/Wallet.js';
+import Coupon from '../models/Coupon.js';
+import Combo from '../models/Combo.js';
+import WalletTransaction from '../models/WalletTransaction.js';
+import { hideReview, restoreReview } from '../utils/reviewModeration.js';
+import { getUploadPath } from '../utils/upload.js';
 
 const AdminJSMongoose = await import('@adminjs/mongoose');
 AdminJS.registerAdapter(AdminJSMongoose);
@@ -27,6 +37,26 @@ const DashboardComponent = componentLoader.add(
   path.resolve(__dirname, '../components/Dashboard')
 );
 
+// Hide / restore buttons on reviews. The panel admin isn't a User document,
+// so the moderation note records who acted instead of reviewedBy.
+const reviewModerationAction = ({ label, done, icon, moderate, isVisible }) => ({
+  actionType: 'record',
+  icon,
+  component: false,
+  guard: `${label} this review?`,
+  isVisible,
+  handler: async (request, response, context) => {
+    const { record, resource, currentAdmin } = context;
+    const review = await Review.findById(record.id());
+    await moderate(review, undefined, `${label} in admin panel by ${currentAdmin?.email}`);
+    const updated = await resource.findOne(record.id());
+    return {
+      record: updated.toJSON(currentAdmin),
+      notice: { message: `Review ${done}`, type: 'success' }
+    };
+  }
+});
+
 // Enhanced dashboard handler
 const dashboardHandler = async (request, response, context) => {
   try {
@@ -140,6 +170,30 @@ const adminJs = new AdminJS({
       resource: Order,
       options: {
         navigation: { name: 'Orders', icon: 'ShoppingCart' },
+        properties: {
+          // Proof of delivery, shown for dispute resolution
+          deliveryOtp: { isVisible: { list: false, filter: false, show: true, edit: false } },
+          pickupCode: { isVisible: { list: false, filter: false, show: true, edit: false } },
+          'proofOfDelivery.otpVerifiedAt': { isVisible: { list: false, filter: false, show: true, edit: false } },
+          'proofOfDelivery.photo': {
+            isVisible: { list: false, filter: false, show: true, edit: false },
+            description: 'Delivery photo, served only to the customer, the rider and admins'
+          },
+          'proofOfDelivery.photoFile': { isVisible: false },
+          'proofOfDelivery.photoUploadedAt': { isVisible: { list: false, filter: false, show: true, edit: false } }
+        },
+        actions: {
+          show: {
+            // The API photo link needs a user token, so the panel links to its own copy instead
+            after: async (response) => {
+              const params = response.record?.params;
+              if (params?.['proofOfDelivery.photoFile'] || params?.['proofOfDelivery.photo']) {
+                params['proofOfDelivery.photo'] = `${adminJs.options.rootPath}/delivery-photos/${response.record.id}`;
+              }
+              return response;
+            }
+          }
+        },
         listProperties: ['userId', 'shopId', 'status', 'totalAmount', 'createdAt'],
         sort: { sortBy: 'createdAt', direction: 'desc' }
       }
@@ -148,7 +202,32 @@ const adminJs = new AdminJS({
       resource: Review,
       options: {
         navigation: { name: 'Feedback Reviews', icon: 'StarFilled' },
-        listProperties: ['userId', 'shopId', 'rating', 'comment', 'createdAt'],
+        listProperties: ['userId', 'shopId', 'orderId', 'rating', 'comment', 'reportCount', 'status', 'createdAt'],
+        filterProperties: ['shopId', 'userId', 'rating', 'status', 'reportCount', 'createdAt'],
+        sort: { sortBy: 'createdAt', direction: 'desc' },
+        actions: {
+          hide: reviewModerationAction({
+            label: 'Hide',
+            done: 'hidden',
+            icon: 'EyeOff',
+            moderate: hideReview,
+            isVisible: ({ record }) => record?.params?.status !== 'hidden'
+          }),
+          restore: reviewModerationAction({
+            label: 'Restore',
+            done: 'restored',
+            icon: 'Eye',
+            moderate: restoreReview,
+            isVisible: ({ record }) => record?.params?.status === 'hidden'
+          })
+        }
+      }
+    },
+    {
+      resource: FoodReview,
+      options: {
+        navigation: { name: 'Feedback Reviews', icon: 'StarFilled' },
+        listProperties: ['user', 'food', 'shop', 'rating', 'comment', 'createdAt'],
         sort: { sortBy: 'createdAt', direction: 'desc' }
       }
     },
@@ -169,6 +248,77 @@ const adminJs = new AdminJS({
         sort: { sortBy: 'createdAt', direction: 'desc' }
       }
     },
+    {
+      resource: RiderPayout,
+      options: {
+        navigation: { name: 'Rider Payouts', icon: 'DollarSign' },
+        listProperties: ['rider', 'deliveries', 'amount', 'status', 'createdAt', 'settledAt'],
+        filterProperties: ['rider', 'status', 'createdAt'],
+        sort: { sortBy: 'createdAt', direction: 'desc' }
+      }
+    },
+    {
+      resource: Combo,
+      options: {
+        navigation: { name: 'Combos', icon: 'Package' },
+        listProperties: ['name', 'shop', 'price', 'isAvailable', 'updatedAt'],
+        filterProperties: ['shop', 'isAvailable']
+      }
+    },
+    {
+      resource: Coupon,
+      options: {
+        navigation: { name: 'Coupons', icon: 'Tag' },
+        listProperties: ['code', 'discountType', 'discountValue', 'usedCount', 'validUntil', 'isActive'],
+        filterProperties: ['code', 'discountType', 'isActive', 'validUntil'],
+        editProperties: [
+          'code', 'description', 'discountType', 'discountValue', 'minOrderValue', 'maxDiscount',
+          'usageLimit', 'perUserLimit', 'validFrom', 'validUntil', 'shops', 'cuisines', 'isActive'
+        ],
+        sort: { sortBy: 'createdAt', direction: 'desc' }
+      }
+    },
+    {
+      resource: Wallet,
+      options: {
+        navigation: { name: 'Wallets', icon: 'CreditCard' },
+        listProperties: ['user', 'balance', 'currency', 'updatedAt'],
+        filterProperties: ['user', 'updatedAt'],
+        // Balances only move through the wallet API so every change has a ledger entry
+        actions: {
+          new: { isAccessible: false },
+          edit: { isAccessible: false },
+          delete: { isAccessible: false }
+        }
+      }
+    },
+    {
+      resource: WalletTransaction,
+      options: {
+        navigation: { name: 'Wallets', icon: 'CreditCard' },
+        listProperties: ['user', 'type', 'source', 'amount', 'status', 'createdAt'],
+        filterProperties: ['user', 'type', 'source', 'status', 'createdAt'],
+        sort: { sortBy: 'createdAt', direction: 'desc' },
+        actions: {
+          new: { isAccessible: false },
+          edit: { isAccessible: false },
+          delete: { isAccessible: false }
+        }
+      }
+    },
+    {
+      resource: PaymentEvent,
+      options: {
+        navigation: { name: 'Payment Events', icon: 'Activity' },
+        listProperties: ['provider', 'type', 'intentId', 'status', 'attempts', 'createdAt'],
+        filterProperties: ['provider', 'type', 'status', 'intentId', 'createdAt'],
+        sort: { sortBy: 'createdAt', direction: 'desc' },
+        actions: {
+          new: { isAccessible: false },
+          edit: { isAccessible: false }
+        }
+      }
+    },
   ],
 
   // Dashboard configuration
@@ -264,4 +414,27 @@ const adminRouter = AdminJSExpress.buildAuthenticatedRouter(adminJs, {
   cookiePassword: process.env.ADMIN_COOKIE_SECRET || 'secret-key-change-this-in-production'
 }, null, sessionOptions); // Pass session options here to fix deprecation warnings
 
+// Delivery photos for the Orders page. Routes added here sit behind the panel login.
+adminRouter.get('/delivery-photos/:orderId', async (req, res) => {
+  try {
+    const order = mongoose.isValidObjectId(req.params.orderId) ?
+      await Order.findById(req.params.orderId).select('proofOfDelivery') :
+      null;
+    // Photos from before photoFile was stored only kept their old public path
+    const { photoFile, photo } = order?.proofOfDelivery || {};
+    if (!photoFile && !photo) {
+      return res.status(404).send('No delivery photo for this order');
+    }
+
+    res.sendFile(getUploadPath('deliveries', photoFile || photo), error => {
+      if (error && !res.headersSent) {
+        res.status(404).send('Delivery photo not found');
+      }
+    });
+  } catch (error) {
+    console.error('Admin delivery photo error:', error);
+    res.status(500).send('Error loading delivery photo');
+  }
+});
+
 export { adminJs, adminRouter };
\ No newline at end of file
@@ -1,13 +1,105 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Cart from '../models/cart.js';
 import Food from '../models/Food.js';
 import Shop from '../models/shop.js';
 import Order from '../models/Order.js';
+import Combo from '../models/Combo.js';
 import { verifyAccessToken as authenticateToken } from '../routes/auth.js';
+import { createCheckoutPayment, isOnlinePaymentEnabled, PREPAID_METHODS } from '../utils/payments.js';
+import { payOrdersFromWallet, refundCheckoutToWallet, WalletError } from '../utils/wallet.js';
+import { revalidateCart } from '../utils/cartValidation.js';
+import { resolveFoodOptions, FoodOptionError } from '../utils/foodOptions.js';
+import { resolveComboItems, splitComboPrice, ComboError } from '../utils/combos.js';
+import { validateScheduledSlot, reserveOrderSlots, releaseOrderSlots, SchedulingError } from '../utils/scheduling.js';
+import { reserveStock, restoreStock, InventoryError } from '../utils/inventory.js';
+import { priceCart, getDeliveryCoordinates, SHOP_PRICING_FIELDS } from '../utils/pricing.js';
+import { evaluateCoupon, findCouponByCode, redeemCoupon, unredeemCoupon, CouponError } from '../utils/coupons.js';
+import { findSavedAddress, toDeliveryAddress } from '../utils/addresses.js';
+import { transitionOrderStatus } from '../utils/orderLifecycle.js';
 
 
 const router = express.Router();
 
+// 'single': a cart holds items from one shop at a time.
+// 'split': carts may mix shops and checkout places one order per shop, paid together.
+const CART_SHOP_POLICY = process.env.CART_SHOP_POLICY === 'split' ? 'split' : 'single';
+
+// Until the shop accepts and sets a preparation time, pickup orders are quoted this far out
+const PICKUP_READY_MINUTES = 25;
+
+// Single-shop carts: adding from another shop needs the customer to confirm replacing the cart.
+// Returns the 409 body for a conflict; clears the cart when the customer chose to replace it.
+const resolveShopConflict = async (cart, shopId, replaceCart) => {
+  const otherShopItem = cart.items.find(item => item.shop.toString() !== shopId.toString());
+  if (CART_SHOP_POLICY !== 'single' || !otherShopItem) {
+    return null;
+  }
+
+  if (!replaceCart) {
+    const currentShop = await Shop.findById(otherShopItem.shop).select('name');
+    return {
+      success: false,
+      code: 'CART_SHOP_CONFLICT',
+      message: `Your cart has items from ${currentShop?.name || 'another shop'}. Send replaceCart: true to clear it and add this item.`,
+      data: {
+        currentShop: currentShop ? { _id: currentShop._id, name: currentShop.name } : { _id: otherShopItem.shop }
+      }
+    };
+  }
+
+  cart.items = [];
+  cart.couponCode = undefined;
+  return null;
+};
+
+// Hand a claimed cart back when its checkout did not go through, so the customer can try again
+const releaseCartClaim = (cart) =>
+  Cart.updateOne({ _id: cart._id }, { $set: { isCheckedOut: false } });
+
+// Re-check the cart's coupon against its current items. Expects items.shop populated with cuisine.
+const getCartDiscount = async (cart, userId) => {
+  if (!cart.couponCode) {
+    return { coupon: null, discount: 0 };
+  }
+
+  const coupon = await findCouponByCode(cart.couponCode);
+  try {
+    const { discount, shopIds } = await evaluateCoupon(coupon, { userId, items: cart.items });
+    return { coupon, discount, discountShopIds: shopIds };
+  } catch (error) {
+    if (error instanceof CouponError) {
+      return { coupon, discount: 0, error: error.message };
+    }
+    throw error;
+  }
+};
+
+// Order lines for one cart line. A combo becomes its component dishes, each carrying
+// its share of the bundle price, so kitchen tickets and dish counts see real foods.
+const toOrderItems = (item) => {
+  if (!item.combo) {
+    return [{
+      foodId: item.food._id,
+      quantity: item.quantity,
+      price: item.price,
+      subtotal: item.subtotal,
+      foodName: item.food.name,
+      selectedOptions: item.selectedOptions
+    }];
+  }
+
+  const shares = splitComboPrice(item.price, item.comboItems);
+  return item.comboItems.map((component, index) => ({
+    foodId: component.food,
+    quantity: component.quantity * item.quantity,
+    price: Math.round(shares[index] / component.quantity * 100) / 100,
+    subtotal: Math.round(shares[index] * item.quantity * 100) / 100,
+    foodName: component.foodName,
+    combo: { comboId: item.combo._id, name: item.combo.name }
+  }));
+};
+
 // Get user's cart
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -16,6 +108,7 @@ router.get('/', authenticateToken, async (req, res) => {
       isCheckedOut: false 
     })
     .populate('items.food', 'name price image category')
+    .populate('items.combo', 'name image price')
     .populate('items.shop', 'name address');
 
     if (!cart) {
@@ -48,7 +141,7 @@ router.get('/', authenticateToken, async (req, res) => {
 // Add item to cart
 router.post('/add', authenticateToken, async (req, res) => {
   try {
-    const { foodId, shopId, quantity = 1 } = req.body;
+    const { foodId, shopId, quantity = 1, options = [], replaceCart = false } = req.body;
 
     // Validate input
     if (!foodId || !shopId) {
@@ -58,8 +151,18 @@ router.post('/add', authenticateToken, async (req, res) => {
       });
     }
 
+    if (!mongoose.isValidObjectId(foodId) || !mongoose.isValidObjectId(shopId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid food or shop ID'
+      });
+    }
+
     // Check if food exists and belongs to the shop
-    const food = await Food.findById(foodId);
+    const [food, shop] = await Promise.all([
+      Food.findById(foodId),
+      Shop.findById(shopId).select('owner')
+    ]);
     if (!food) {
       return res.status(404).json({
         success: false,
@@ -67,7 +170,14 @@ router.post('/add', authenticateToken, async (req, res) => {
       });
     }
 
-    if (food.shop.toString() !== shopId) {
+    if (!shop) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shop not found'
+      });
+    }
+
+    if (!food.isListedBy(shop)) {
       return res.status(400).json({
         success: false,
         message: 'Food item does not belong to the specified shop'
@@ -75,13 +185,28 @@ router.post('/add', authenticateToken, async (req, res) => {
     }
 
     // Check if food is available
-    if (!food.available) {
+    if (!food.instock) {
       return res.status(400).json({
         success: false,
         message: 'Food item is currently unavailable'
       });
     }
 
+    // Work out the unit price for the chosen variant and add-ons
+    let resolvedOptions;
+    try {
+      resolvedOptions = resolveFoodOptions(food, Array.isArray(options) ? options : [options]);
+    } catch (error) {
+      if (error instanceof FoodOptionError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+    const { selectedOptions, unitPrice, optionsKey } = resolvedOptions;
+
     // Find or create cart
     let cart = await Cart.findOne({ 
       user: req.user.id, 
@@ -92,12 +217,19 @@ router.post('/add', authenticateToken, async (req, res) => {
       cart = new Cart({ user: req.user.id, items: [] });
     }
 
+    const conflict = await resolveShopConflict(cart, shopId, replaceCart);
+    if (conflict) {
+      return res.status(409).json(conflict);
+    }
+
     // Check if item already exists in cart
     const existingItemIndex = cart.items.findIndex(
-      item => item.food.toString() === foodId && item.shop.toString() === shopId
+      item => item.food?.toString() === foodId &&
+        item.shop.toString() === shopId &&
+        (item.optionsKey || '') === optionsKey
     );
 
-    const price = food.price;
+    const price = unitPrice;
     const subtotal = price * quantity;
 
     if (existingItemIndex > -1) {
@@ -111,7 +243,9 @@ router.post('/add', authenticateToken, async (req, res) => {
         shop: shopId,
         quantity,
         price,
-        subtotal
+        subtotal,
+        selectedOptions,
+        optionsKey
       });
     }
 
@@ -119,6 +253,7 @@ router.post('/add', authenticateToken, async (req, res) => {
 
     // Populate cart for response
     await cart.populate('items.food', 'name price image category');
+    await cart.populate('items.combo', 'name image price');
     await cart.populate('items.shop', 'name address');
 
     res.json({
@@ -136,6 +271,103 @@ router.post('/add', authenticateToken, async (req, res) => {
   }
 });
 
+// Add a combo to cart as one line. swaps maps a combo component ID to the food picked instead.
+router.post('/add-combo', authenticateToken, async (req, res) => {
+  try {
+    const { comboId, swaps = {}, replaceCart = false } = req.body;
+    // Form posts send numbers as strings, and a string would be concatenated onto the cart quantity
+    const quantity = Number(req.body.quantity ?? 1);
+
+    if (!comboId || !mongoose.isValidObjectId(comboId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid combo ID is required'
+      });
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a whole number of at least 1'
+      });
+    }
+
+    const combo = await Combo.findById(comboId);
+    if (!combo || !combo.isAvailable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Combo not found or unavailable'
+      });
+    }
+
+    let resolved;
+    try {
+      resolved = await resolveComboItems(combo, swaps);
+    } catch (error) {
+      if (error instanceof ComboError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+    const { comboItems, comboKey } = resolved;
+
+    let cart = await Cart.findOne({
+      user: req.user.id,
+      isCheckedOut: false
+    });
+
+    if (!cart) {
+      cart = new Cart({ user: req.user.id, items: [] });
+    }
+
+    const conflict = await resolveShopConflict(cart, combo.shop, replaceCart);
+    if (conflict) {
+      return res.status(409).json(conflict);
+    }
+
+    const existingItem = cart.items.find(
+      item => item.combo?.toString() === comboId && (item.optionsKey || '') === comboKey
+    );
+
+    if (existingItem) {
+      existingItem.quantity += quantity;
+      existingItem.subtotal = existingItem.quantity * existingItem.price;
+    } else {
+      cart.items.push({
+        combo: combo._id,
+        shop: combo.shop,
+        quantity,
+        price: combo.price,
+        subtotal: combo.price * quantity,
+        comboItems,
+        optionsKey: comboKey
+      });
+    }
+
+    await cart.save();
+
+    await cart.populate('items.food', 'name price image category');
+    await cart.populate('items.combo', 'name image price');
+    await cart.populate('items.shop', 'name address');
+
+    res.json({
+      success: true,
+      message: 'Combo added to cart successfully',
+      data: cart
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error adding combo to cart',
+      error: error.message
+    });
+  }
+});
+
 // Update item quantity in cart
 router.put('/update/:itemIndex', authenticateToken, async (req, res) => {
   try {
@@ -175,6 +407,7 @@ router.put('/update/:itemIndex', authenticateToken, async (req, res) => {
     await cart.save();
 
     await cart.populate('items.food', 'name price image category');
+    await cart.populate('items.combo', 'name image price');
     await cart.populate('items.shop', 'name address');
 
     res.json({
@@ -221,6 +454,7 @@ router.delete('/remove/:itemIndex', authenticateToken, async (req, res) => {
     await cart.save();
 
     await cart.populate('items.food', 'name price image category');
+    await cart.populate('items.combo', 'name image price');
     await cart.populate('items.shop', 'name address');
 
     res.json({
@@ -254,6 +488,7 @@ router.delete('/clear', authenticateToken, async (req, res) => {
     }
 
     cart.items = [];
+    cart.couponCode = undefined;
     await cart.save();
 
     res.json({
@@ -271,6 +506,142 @@ router.delete('/clear', authenticateToken, async (req, res) => {
   }
 });
 
+// Apply a coupon code to the cart
+router.post('/coupon', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code is required'
+      });
+    }
+
+    const cart = await Cart.findOne({
+      user: req.user.id,
+      isCheckedOut: false
+    })
+    .populate('items.shop', 'name cuisine');
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const coupon = await findCouponByCode(code);
+    const { discount } = await evaluateCoupon(coupon, { userId: req.user.id, items: cart.items });
+
+    cart.couponCode = coupon.code;
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon applied successfully',
+      data: {
+        code: coupon.code,
+        description: coupon.description,
+        discount
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof CouponError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error applying coupon',
+      error: error.message
+    });
+  }
+});
+
+// Remove the applied coupon
+router.delete('/coupon', authenticateToken, async (req, res) => {
+  try {
+    const cart = await Cart.findOne({
+      user: req.user.id,
+      isCheckedOut: false
+    });
+
+    if (cart?.couponCode) {
+      cart.couponCode = undefined;
+      await cart.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon removed'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing coupon',
+      error: error.message
+    });
+  }
+});
+
+// Choose delivery or pickup for the cart
+router.put('/fulfillment', authenticateToken, async (req, res) => {
+  try {
+    const { fulfillmentType } = req.body;
+    if (!['delivery', 'pickup'].includes(fulfillmentType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'fulfillmentType must be either delivery or pickup'
+      });
+    }
+
+    const cart = await Cart.findOne({
+      user: req.user.id,
+      isCheckedOut: false
+    })
+    .populate('items.shop', 'name deliveryAvailable pickupAvailable');
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const unsupportedShop = cart.items.map(item => item.shop).find(shop => (fulfillmentType === 'pickup' ?
+      !shop.pickupAvailable :
+      shop.deliveryAvailable === false));
+    if (unsupportedShop) {
+      return res.status(400).json({
+        success: false,
+        message: `${unsupportedShop.name} does not offer ${fulfillmentType}`
+      });
+    }
+
+    cart.fulfillmentType = fulfillmentType;
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: fulfillmentType === 'pickup' ?
+        'You will collect this order from the shop' :
+        'This order will be delivered to you',
+      data: { fulfillmentType }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating fulfillment type',
+      error: error.message
+    });
+  }
+});
+
 // Get cart summary for checkout
 router.get('/summary', authenticateToken, async (req, res) => {
   try {
@@ -279,7 +650,8 @@ router.get('/summary', authenticateToken, async (req, res) => {
       isCheckedOut: false 
     })
     .populate('items.food', 'name price image')
-    .populate('items.shop', 'name address phone');
+    .populate('items.combo', 'name image price')
+    .populate('items.shop', SHOP_PRICING_FIELDS);
 
     if (!cart || cart.items.length === 0) {
       return res.status(400).json({
@@ -288,28 +660,38 @@ router.get('/summary', authenticateToken, async (req, res) => {
       });
     }
 
-    // Group items by shop for better organization
-    const itemsByShop = cart.items.reduce((acc, item) => {
-      const shopId = item.shop._id.toString();
-      if (!acc[shopId]) {
-        acc[shopId] = {
-          shop: item.shop,
-          items: [],
-          shopSubtotal: 0
-        };
-      }
-      acc[shopId].items.push(item);
-      acc[shopId].shopSubtotal += item.subtotal;
-      return acc;
-    }, {});
+    // Delivery fees and range use ?latitude=&longitude=, else ?addressId= or the default saved address
+    let coordinates = getDeliveryCoordinates(req.query);
+    if (!coordinates) {
+      const savedAddress = await findSavedAddress(req.user.id, req.query.addressId);
+      coordinates = savedAddress ? getDeliveryCoordinates(toDeliveryAddress(savedAddress)) : null;
+    }
+
+    const { coupon, discount, discountShopIds, error: couponError } = await getCartDiscount(cart, req.user.id);
+    const pricing = priceCart(cart.items, {
+      coordinates,
+      discount,
+      discountShopIds,
+      fulfillmentType: cart.fulfillmentType
+    });
 
     const summary = {
+      fulfillmentType: cart.fulfillmentType,
       totalItems: cart.items.length,
-      totalAmount: cart.totalAmount,
-      itemsByShop: Object.values(itemsByShop),
-      deliveryFee: 50, // You can make this dynamic
-      taxes: Math.round(cart.totalAmount * 0.05), // 5% tax
-      grandTotal: cart.totalAmount + 50 + Math.round(cart.totalAmount * 0.05)
+      totalAmount: pricing.itemTotal,
+      itemsByShop: pricing.shops,
+      deliveryFee: pricing.deliveryFee,
+      discount: pricing.discount,
+      coupon: coupon ? {
+        code: coupon.code,
+        description: coupon.description,
+        applied: !couponError,
+        message: couponError
+      } : null,
+      taxes: pricing.taxes,
+      grandTotal: pricing.grandTotal,
+      problems: pricing.problems,
+      canCheckout: pricing.problems.length === 0 && !couponError
     };
 
     res.json({
@@ -331,16 +713,23 @@ router.post('/checkout', authenticateToken, async (req, res) => {
   try {
     const { 
       paymentMethod, 
-      deliveryAddress, 
+      addressId, // A saved address from /api/addresses
       phoneNumber,
-      paymentDetails // For card payments
+      scheduledFor // Optional delivery slot start, from GET /api/shops/:id/slots
     } = req.body;
 
     // Validate required fields
-    if (!paymentMethod || !deliveryAddress || !phoneNumber) {
+    if (!paymentMethod || !phoneNumber) {
       return res.status(400).json({
         success: false,
-        message: 'Payment method, delivery address, and phone number are required'
+        message: 'Payment method and phone number are required'
+      });
+    }
+
+    if (PREPAID_METHODS.includes(paymentMethod) && !isOnlinePaymentEnabled()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Online payment is not available. Please pay with cash on delivery or your wallet.'
       });
     }
 
@@ -348,9 +737,7 @@ router.post('/checkout', authenticateToken, async (req, res) => {
     const cart = await Cart.findOne({ 
       user: req.user.id, 
       isCheckedOut: false 
-    })
-    .populate('items.food', 'name price image category')
-    .populate('items.shop', 'name address phone');
+    });
 
     if (!cart || cart.items.length === 0) {
       return res.status(400).json({
@@ -359,68 +746,314 @@ router.post('/checkout', authenticateToken, async (req, res) => {
       });
     }
 
-    // Calculate totals
-    const deliveryFee = 50;
-    const taxes = Math.round(cart.totalAmount * 0.05);
-    const grandTotal = cart.totalAmount + deliveryFee + taxes;
-
-    // Simulate payment processing
-    let paymentStatus = 'pending';
-    let paymentId = null;
-
-    if (paymentMethod === 'cod') {
-      paymentStatus = 'pending';
-      paymentId = `COD_${Date.now()}`;
-    } else if (paymentMethod === 'card' || paymentMethod === 'upi') {
-      // Here you would integrate with actual payment gateway
-      // For now, we'll simulate successful payment
-      paymentStatus = 'completed';
-      paymentId = `PAY_${Date.now()}`;
-    }
-
-    // Create order
-    const order = new Order({
-      userId: req.user.id,
-      shopId: cart.items[0].shop._id, // Assuming all items are from the same shop
-      items: cart.items.map(item => ({
-        foodId: item.food._id,
-        quantity: item.quantity,
-        price: item.price,
-        subtotal: item.subtotal,
-        foodName: item.food.name
-      })),
-      totalAmount: cart.totalAmount,
-      deliveryFee: deliveryFee,
-      taxes: taxes,
-      grandTotal: grandTotal,
-      paymentMethod: paymentMethod,
-      paymentStatus: paymentStatus,
-      paymentId: paymentId,
-      deliveryAddress: deliveryAddress,
-      phoneNumber: phoneNumber,
-      status: 'confirmed',
-      deliveryTime: 45, // 45 minutes
-      estimatedDeliveryTime: new Date(Date.now() + 45 * 60 * 1000) // 45 minutes from now
-    });
-
-    await order.save();
-
-    // Mark cart as checked out
-    cart.isCheckedOut = true;
-    await cart.save();
+    const { fulfillmentType } = cart;
+    const isPickup = fulfillmentType === 'pickup';
+
+    // Delivery goes to the saved address, a free-form deliveryAddress, or else the default saved address
+    let deliveryAddress = req.body.deliveryAddress;
+    if (!isPickup && (addressId || !deliveryAddress)) {
+      const savedAddress = await findSavedAddress(req.user.id, addressId);
+      if (!savedAddress) {
+        return res.status(400).json({
+          success: false,
+          message: addressId ? 'Saved address not found' : 'Delivery address is required'
+        });
+      }
+      deliveryAddress = toDeliveryAddress(savedAddress);
+    }
+
+    // The menu may have changed since items were added: refresh prices and check stock and shop hours
+    const cartProblems = await revalidateCart(cart, { scheduled: Boolean(scheduledFor) });
+    if (cart.isModified()) {
+      await cart.save();
+    }
+
+    await cart.populate('items.food', 'name price image category');
+    await cart.populate('items.combo', 'name image price');
+    await cart.populate('items.shop', `${SHOP_PRICING_FIELDS} openTime closeTime scheduling`);
 
-    // Populate order for response
-    await order.populate('userId', 'name email');
-    await order.populate('items.foodId', 'name image category');
-    await order.populate('shopId', 'name address phone');
+    if (cartProblems.length > 0) {
+      return res.status(409).json({
+        success: false,
+        code: 'CART_CHANGED',
+        message: 'Some items in your cart have changed. Please review your cart.',
+        problems: cartProblems,
+        data: {
+          cart: {
+            ...cart.toObject(),
+            itemCount: cart.items.length
+          }
+        }
+      });
+    }
+
+    // A coupon that no longer applies blocks checkout rather than silently changing the price
+    const { coupon, discount, discountShopIds, error: couponError } = await getCartDiscount(cart, req.user.id);
+    if (couponError) {
+      return res.status(400).json({
+        success: false,
+        message: `${couponError}. Remove the coupon to continue.`
+      });
+    }
+
+    // Same pricing as the summary, using the delivery address coordinates when given
+    const coordinates = isPickup ? null : getDeliveryCoordinates(deliveryAddress);
+    // Text-only addresses still work, except for shops that limit where they deliver:
+    // without a map location we can't tell whether the address is inside their area
+    const restrictedShop = !isPickup && !coordinates &&
+      cart.items.map(item => item.shop).find(shop => shop.hasDeliveryArea());
+    if (restrictedShop) {
+      return res.status(400).json({
+        success: false,
+        code: 'DELIVERY_LOCATION_REQUIRED',
+        message: `${restrictedShop.name} only delivers within its delivery area, so the delivery address needs a location (latitude and longitude). Pick a saved address or pin it on the map.`
+      });
+    }
+    const pricing = priceCart(cart.items, { coordinates, discount, discountShopIds, fulfillmentType });
+    if (pricing.problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: pricing.problems[0].message,
+        problems: pricing.problems
+      });
+    }
+
+    const orderCount = pricing.shops.length;
+    if (CART_SHOP_POLICY === 'single' && orderCount > 1) {
+      return res.status(409).json({
+        success: false,
+        code: 'CART_SHOP_CONFLICT',
+        message: 'Your cart has items from more than one shop. Remove items so that they all come from one shop.',
+        data: {
+          shops: pricing.shops.map(group => ({ _id: group.shop._id, name: group.shop.name }))
+        }
+      });
+    }
+
+    // One order per shop. Orders placed together share a checkout group and a single payment.
+    const checkoutGroup = `CHK${Date.now()}${Math.floor(Math.random() * 1000).toString().padStart(3, '0')}`;
+    // Scheduled checkout: every shop must have room in the chosen slot
+    const slots = new Map();
+    if (scheduledFor) {
+      try {
+        for (const group of pricing.shops) {
+          slots.set(group.shop._id.toString(), await validateScheduledSlot(group.shop, scheduledFor));
+        }
+      } catch (error) {
+        if (error instanceof SchedulingError) {
+          return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+          });
+        }
+        throw error;
+      }
+    }
+
+    const orders = pricing.shops.map(group => {
+      const slot = slots.get(group.shop._id.toString());
+      // The slot is when the food arrives, or when a pickup order is ready at the counter
+      const expectedAt = slot ?
+        slot.scheduledFor :
+        new Date(Date.now() + (isPickup ? PICKUP_READY_MINUTES : 45) * 60 * 1000);
+      return new Order({
+        userId: req.user.id,
+        shopId: group.shop._id,
+        checkoutGroup,
+        items: group.items.flatMap(toOrderItems),
+        totalAmount: group.shopSubtotal,
+        deliveryFee: group.deliveryFee,
+        taxes: group.taxes,
+        discount: group.discount,
+        coupon: coupon ? { couponId: coupon._id, code: coupon.code } : undefined,
+        grandTotal: group.total,
+        paymentMethod: paymentMethod,
+        paymentStatus: 'pending',
+        paymentId: paymentMethod === 'cod' ? `COD_${Date.now()}` : null,
+        fulfillmentType,
+        deliveryAddress: isPickup ? undefined : {
+          street: deliveryAddress.street,
+          city: deliveryAddress.city,
+          state: deliveryAddress.state,
+          pincode: deliveryAddress.pincode,
+          landmark: deliveryAddress.landmark,
+          location: coordinates ?
+            { type: 'Point', coordinates: [coordinates.longitude, coordinates.latitude] } :
+            undefined
+        },
+        phoneNumber: phoneNumber,
+        // Scheduled orders stay dormant until shortly before their slot; others wait for the shop to accept
+        status: slot ? 'scheduled' : 'pending',
+        scheduledFor: slot?.scheduledFor,
+        releaseAt: slot?.releaseAt,
+        deliveryTime: isPickup ? undefined : 45, // 45 minutes
+        estimatedDeliveryTime: isPickup ? undefined : expectedAt,
+        estimatedReadyTime: isPickup ? expectedAt : undefined
+      });
+    });
+
+    // Validate every order before money or coupon uses are taken
+    try {
+      await Promise.all(orders.map(order => order.validate()));
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map(err => err.message).join(', ')
+        });
+      }
+      throw error;
+    }
+
+    // Claim the cart so a second checkout of the same cart running alongside stops here
+    const claimed = await Cart.updateOne(
+      { _id: cart._id, isCheckedOut: false },
+      { $set: { isCheckedOut: true } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This cart has already been checked out'
+      });
+    }
+
+    // Hold a place in each scheduled slot first; nothing else has been taken if one is full
+    try {
+      const shopsById = new Map(pricing.shops.map(group => [group.shop._id.toString(), group.shop]));
+      await reserveOrderSlots(orders, shopsById);
+    } catch (error) {
+      await releaseCartClaim(cart);
+      if (error instanceof SchedulingError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    // Then the stock-tracked portions; nothing has been charged if this fails
+    const orderedItems = orders.flatMap(order => order.items);
+    try {
+      await reserveStock(orderedItems);
+    } catch (error) {
+      await releaseOrderSlots(orders);
+      await releaseCartClaim(cart);
+      if (error instanceof InventoryError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          code: 'CART_CHANGED',
+          message: error.message,
+          problems: error.problems
+        });
+      }
+      throw error;
+    }
+
+    if (coupon) {
+      try {
+        await redeemCoupon(coupon, req.user.id);
+      } catch (error) {
+        await restoreStock(orderedItems);
+        await releaseOrderSlots(orders);
+        await releaseCartClaim(cart);
+        if (error instanceof CouponError) {
+          return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+          });
+        }
+        throw error;
+      }
+    }
+
+    // Wallet orders are paid up front; the debit fails if the balance does not cover the checkout
+    if (paymentMethod === 'wallet') {
+      try {
+        await payOrdersFromWallet(orders);
+      } catch (error) {
+        await restoreStock(orderedItems);
+        await releaseOrderSlots(orders);
+        if (coupon) await unredeemCoupon(coupon._id, req.user.id);
+        await releaseCartClaim(cart);
+        if (error instanceof WalletError) {
+          return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+          });
+        }
+        throw error;
+      }
+    }
+
+    try {
+      await Promise.all(orders.map(order => order.save()));
+    } catch (error) {
+      // Undo whatever was stored and give the money, stock and coupon use back
+      await Order.deleteMany({ checkoutGroup });
+      if (paymentMethod === 'wallet') {
+        await refundCheckoutToWallet(orders);
+      }
+      await restoreStock(orderedItems);
+      await releaseOrderSlots(orders);
+      if (coupon) await unredeemCoupon(coupon._id, req.user.id);
+      await releaseCartClaim(cart);
+      throw error;
+    }
+
+    // Online payments start as one intent for the whole checkout; the orders stay pending until the provider confirms it
+    let payment = null;
+    if (PREPAID_METHODS.includes(paymentMethod)) {
+      try {
+        payment = await createCheckoutPayment(orders);
+        await Promise.all(orders.map(order => order.save()));
+      } catch (error) {
+        // The orders are already stored: cancelling them gives back the stock, coupon use and slots
+        console.error('Checkout payment error:', error);
+        for (const order of orders) {
+          await transitionOrderStatus(order, 'cancelled', {
+            role: 'system',
+            reason: 'Payment could not be started'
+          }).catch(cancelError => console.error('Checkout payment rollback error:', cancelError));
+        }
+        await releaseCartClaim(cart);
+        return res.status(502).json({
+          success: false,
+          message: 'Could not start the payment. Please try again.'
+        });
+      }
+    }
+
+    // Dish popularity counts, with combo components counted as the dishes they are
+    await Food.bulkWrite(orderedItems.map(item => ({
+      updateOne: {
+        filter: { _id: item.foodId },
+        update: { $inc: { order_num: item.quantity } }
+      }
+    })));
+
+    // Populate orders for response
+    for (const order of orders) {
+      await order.populate('userId', 'name email');
+      await order.populate('items.foodId', 'name image category');
+      await order.populate('shopId', 'name address phone');
+    }
 
     res.json({
       success: true,
-      message: 'Order placed successfully!',
+      message: orderCount > 1 ?
+        `${orderCount} orders placed successfully!` :
+        'Order placed successfully!',
       data: {
-        order: order,
-        paymentStatus: paymentStatus,
-        estimatedDelivery: order.estimatedDeliveryTime
+        order: orders[0],
+        orders,
+        checkoutGroup,
+        grandTotal: pricing.grandTotal,
+        paymentStatus: orders[0].paymentStatus,
+        payment,
+        fulfillmentType,
+        estimatedDelivery: orders[0].estimatedDeliveryTime,
+        estimatedReady: orders[0].estimatedReadyTime
       }
     });
 
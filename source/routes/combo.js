@@ -0,0 +1,219 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Combo from '../models/Combo.js';
+import Food from '../models/Food.js';
+import Shop from '../models/shop.js';
+import { verifyAccessToken as authenticateToken } from '../routes/auth.js';
+
+// Mounted at /api/shops/:id/combos
+const router = express.Router({ mergeParams: true });
+
+const COMPONENT_FOOD_FIELDS = 'name price image veg menu_category instock';
+
+const loadShop = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid shop ID format' });
+    return null;
+  }
+
+  const shop = await Shop.findById(req.params.id).select('name owner isActive');
+  if (!shop) {
+    res.status(404).json({ success: false, message: 'Shop not found' });
+    return null;
+  }
+  return shop;
+};
+
+const canManageShop = (shop, user) =>
+  user.isAdmin || user.role === 'admin' || shop.owner.toString() === user.id;
+
+// Every component food must exist on the shop's menu, and swaps must come from the same menu category
+const validateComponents = async (components, shop) => {
+  if (!Array.isArray(components) || components.length < 2) {
+    return 'A combo needs at least two items';
+  }
+
+  const ids = components.flatMap(component => [component.food, ...(component.swapOptions || [])]);
+  if (!ids.every(id => mongoose.isValidObjectId(id))) {
+    return 'Invalid food ID in combo items';
+  }
+
+  const foods = await Food.find({ _id: { $in: ids } }).select('name menu_category shop createdBy');
+  const foodsById = new Map(foods.map(food => [food._id.toString(), food]));
+
+  const offMenu = foods.find(food => !food.isListedBy(shop));
+  if (offMenu) {
+    return `${offMenu.name} is not on this shop's menu`;
+  }
+
+  for (const component of components) {
+    const food = foodsById.get(String(component.food));
+    if (!food) {
+      return 'A combo item was not found';
+    }
+    for (const swapId of component.swapOptions || []) {
+      const swap = foodsById.get(String(swapId));
+      if (!swap) {
+        return `A swap option for ${food.name} was not found`;
+      }
+      if (swap.menu_category !== food.menu_category) {
+        return `${swap.name} can't replace ${food.name}: swaps must be from the same menu category`;
+      }
+    }
+  }
+
+  return null;
+};
+
+const sendComboError = (res, error, label, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+  console.error(`${label}:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// Combos on sale at a shop, with their dishes and swap choices
+router.get('/', async (req, res) => {
+  try {
+    const shop = await loadShop(req, res);
+    if (!shop) return;
+
+    const combos = await Combo.find({ shop: shop._id, isAvailable: true })
+      .populate('components.food', COMPONENT_FOOD_FIELDS)
+      .populate('components.swapOptions', COMPONENT_FOOD_FIELDS)
+      .sort({ price: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      combos
+    });
+  } catch (error) {
+    sendComboError(res, error, 'Get combos error', 'Server error while fetching combos');
+  }
+});
+
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const shop = await loadShop(req, res);
+    if (!shop) return;
+
+    if (!canManageShop(shop, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage combos for this shop'
+      });
+    }
+
+    const { name, description, image, price, components, isAvailable } = req.body;
+    const componentError = await validateComponents(components, shop);
+    if (componentError) {
+      return res.status(400).json({ success: false, message: componentError });
+    }
+
+    const combo = await Combo.create({
+      shop: shop._id,
+      name,
+      description,
+      image,
+      price,
+      components,
+      isAvailable,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Combo created successfully',
+      combo
+    });
+  } catch (error) {
+    sendComboError(res, error, 'Create combo error', 'Server error while creating combo');
+  }
+});
+
+router.put('/:comboId', authenticateToken, async (req, res) => {
+  try {
+    const shop = await loadShop(req, res);
+    if (!shop) return;
+
+    if (!canManageShop(shop, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage combos for this shop'
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.comboId)) {
+      return res.status(400).json({ success: false, message: 'Invalid combo ID' });
+    }
+
+    const combo = await Combo.findOne({ _id: req.params.comboId, shop: shop._id });
+    if (!combo) {
+      return res.status(404).json({ success: false, message: 'Combo not found' });
+    }
+
+    const { name, description, image, price, components, isAvailable } = req.body;
+    if (components !== undefined) {
+      const componentError = await validateComponents(components, shop);
+      if (componentError) {
+        return res.status(400).json({ success: false, message: componentError });
+      }
+      combo.components = components;
+    }
+    if (name !== undefined) combo.name = name;
+    if (description !== undefined) combo.description = description;
+    if (image !== undefined) combo.image = image;
+    if (price !== undefined) combo.price = price;
+    if (isAvailable !== undefined) combo.isAvailable = isAvailable;
+
+    await combo.save();
+
+    res.json({
+      success: true,
+      message: 'Combo updated successfully',
+      combo
+    });
+  } catch (error) {
+    sendComboError(res, error, 'Update combo error', 'Server error while updating combo');
+  }
+});
+
+router.delete('/:comboId', authenticateToken, async (req, res) => {
+  try {
+    const shop = await loadShop(req, res);
+    if (!shop) return;
+
+    if (!canManageShop(shop, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage combos for this shop'
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.comboId)) {
+      return res.status(400).json({ success: false, message: 'Invalid combo ID' });
+    }
+
+    const combo = await Combo.findOneAndDelete({ _id: req.params.comboId, shop: shop._id });
+    if (!combo) {
+      return res.status(404).json({ success: false, message: 'Combo not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Combo deleted successfully'
+    });
+  } catch (error) {
+    sendComboError(res, error, 'Delete combo error', 'Server error while deleting combo');
+  }
+});
+
+export default router;
@@ -0,0 +1,219 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Coupon from '../models/Coupon.js';
+import Shop from '../models/shop.js';
+import { verifyAccessToken as authenticateToken } from '../routes/auth.js';
+
+const router = express.Router();
+
+// Fields a coupon manager may set; usedCount and createdBy are maintained by the server
+const EDITABLE_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'minOrderValue', 'maxDiscount',
+  'usageLimit', 'perUserLimit', 'validFrom', 'validUntil', 'shops', 'cuisines', 'isActive'
+];
+
+const isAdmin = (user) => user.isAdmin || user.role === 'admin';
+
+const pickCouponFields = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// Admins manage every coupon. Shop owners manage coupons scoped only to shops they own.
+const checkCouponScope = async (user, { shops = [], cuisines = [] }) => {
+  if (isAdmin(user)) return null;
+
+  if (cuisines.length > 0) {
+    return 'Only admins can create cuisine-wide coupons';
+  }
+  if (shops.length === 0) {
+    return 'Shop owners must limit coupons to their own shops';
+  }
+  if (!shops.every(id => mongoose.isValidObjectId(id))) {
+    return 'Invalid shop ID';
+  }
+
+  const ownedCount = await Shop.countDocuments({ _id: { $in: shops }, owner: user.id });
+  return ownedCount === new Set(shops.map(String)).size ? null : 'You can only create coupons for your own shops';
+};
+
+const sendCouponError = (res, error, label, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A coupon with this code already exists'
+    });
+  }
+  console.error(`${label}:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+const findManagedCoupon = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid coupon ID' });
+    return null;
+  }
+
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) {
+    res.status(404).json({ success: false, message: 'Coupon not found' });
+    return null;
+  }
+
+  const scopeError = await checkCouponScope(req.user, coupon);
+  if (scopeError) {
+    res.status(403).json({ success: false, message: 'Not authorized to manage this coupon' });
+    return null;
+  }
+
+  return coupon;
+};
+
+// Public: coupons a customer can use right now, optionally only those valid at one shop
+router.get('/available', async (req, res) => {
+  try {
+    const { shopId } = req.query;
+    const filter = Coupon.activeFilter();
+
+    if (shopId) {
+      if (!mongoose.isValidObjectId(shopId)) {
+        return res.status(400).json({ success: false, message: 'Invalid shop ID' });
+      }
+      const shop = await Shop.findById(shopId).select('cuisine');
+      if (!shop) {
+        return res.status(404).json({ success: false, message: 'Shop not found' });
+      }
+      filter.$and = [{
+        $or: [
+          { shops: shop._id },
+          { cuisines: { $in: shop.cuisine } },
+          { shops: { $size: 0 }, cuisines: { $size: 0 } }
+        ]
+      }];
+    }
+
+    const coupons = await Coupon.find(filter)
+      .select('code description discountType discountValue minOrderValue maxDiscount validUntil shops cuisines usageLimit usedCount')
+      .sort({ validUntil: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      coupons: coupons
+        .filter(coupon => !coupon.usageLimit || coupon.usedCount < coupon.usageLimit)
+        .map(({ usageLimit, usedCount, ...coupon }) => coupon)
+    });
+  } catch (error) {
+    sendCouponError(res, error, 'Available coupons error', 'Server error while fetching coupons');
+  }
+});
+
+// Coupons the caller manages: all for admins, their shops' coupons for owners
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const filter = {};
+    if (!isAdmin(req.user)) {
+      const shopIds = await Shop.find({ owner: req.user.id }).distinct('_id');
+      filter.shops = { $in: shopIds };
+    }
+    if (req.query.active === 'true') {
+      Object.assign(filter, Coupon.activeFilter());
+    }
+
+    const coupons = await Coupon.find(filter)
+      .populate('shops', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      coupons
+    });
+  } catch (error) {
+    sendCouponError(res, error, 'List coupons error', 'Server error while fetching coupons');
+  }
+});
+
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const fields = pickCouponFields(req.body);
+
+    const scopeError = await checkCouponScope(req.user, fields);
+    if (scopeError) {
+      return res.status(403).json({ success: false, message: scopeError });
+    }
+
+    const coupon = await Coupon.create({ ...fields, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      coupon
+    });
+  } catch (error) {
+    sendCouponError(res, error, 'Create coupon error', 'Server error while creating coupon');
+  }
+});
+
+router.patch('/:id', authenticateToken, async (req, res) => {
+  try {
+    const coupon = await findManagedCoupon(req, res);
+    if (!coupon) return;
+
+    const fields = pickCouponFields(req.body);
+    const scopeError = await checkCouponScope(req.user, {
+      shops: fields.shops ?? coupon.shops,
+      cuisines: fields.cuisines ?? coupon.cuisines
+    });
+    if (scopeError) {
+      return res.status(403).json({ success: false, message: scopeError });
+    }
+
+    coupon.set(fields);
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      coupon
+    });
+  } catch (error) {
+    sendCouponError(res, error, 'Update coupon error', 'Server error while updating coupon');
+  }
+});
+
+// Used coupons are deactivated instead of deleted so past orders keep their reference
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const coupon = await findManagedCoupon(req, res);
+    if (!coupon) return;
+
+    if (coupon.usedCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.json({
+        success: true,
+        message: 'Coupon has been used, so it was deactivated instead of deleted'
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    sendCouponError(res, error, 'Delete coupon error', 'Server error while deleting coupon');
+  }
+});
+
+export default router;
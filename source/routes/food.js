@@ -2,43 +2,14 @@ import express from 'express';
 import jwt from 'jsonwebtoken';
 import mongoose from 'mongoose';
 import Food from '../models/Food.js';
-import multer from 'multer';
-import path from 'path';
-import fs from 'fs';
+import Shop from '../models/shop.js';
+import FoodReview from '../models/FoodReview.js';
+import { createImageUpload } from '../utils/upload.js';
 
 const router = express.Router();
 
 // Multer configuration for image uploads
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const uploadPath = 'uploads/foods/';
-        if (!fs.existsSync(uploadPath)) {
-            fs.mkdirSync(uploadPath, { recursive: true });
-        }
-        cb(null, uploadPath);
-    },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, 'food-' + uniqueSuffix + path.extname(file.originalname));
-    }
-});
-
-const upload = multer({
-    storage: storage,
-    limits: {
-        fileSize: 5 * 1024 * 1024 // 5MB limit
-    },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|gif|webp/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
-        if (mimetype && extname) {
-            return cb(null, true);
-        } else {
-            cb(new Error('Only image files are allowed (jpeg, jpg, png, gif, webp)'));
-        }
-    }
-});
+const upload = createImageUpload('foods', 'food');
 
 // Middleware to verify JWT token
 const authenticateToken = (req, res, next) => {
@@ -64,7 +35,7 @@ const authenticateToken = (req, res, next) => {
 // Admin/Restaurant Owner middleware
 const authorizeRestaurantOwner = async (req, res, next) => {
     try {
-        if (req.user.role !== 'admin' && req.user.role !== 'restaurant_owner') {
+        if (req.user.role !== 'admin' && req.user.role !== 'restaurantOwner') {
             return res.status(403).json({
                 success: false,
                 message: 'Access denied. Restaurant owner privileges required.'
@@ -79,6 +50,32 @@ const authorizeRestaurantOwner = async (req, res, next) => {
     }
 };
 
+// The shop a dish is listed on: it must exist and, unless an admin is listing it, belong to the user
+const findListingShop = async (shopId, user) => {
+    if (!mongoose.isValidObjectId(shopId)) {
+        return { status: 400, message: 'Invalid shop ID format' };
+    }
+    const shop = await Shop.findById(shopId).select('owner');
+    if (!shop) {
+        return { status: 404, message: 'Shop not found' };
+    }
+    if (user.role !== 'admin' && shop.owner.toString() !== user.id) {
+        return { status: 403, message: 'You can only list dishes on your own shop' };
+    }
+    return { shop };
+};
+
+// Whether the user runs the shop a dish is listed on
+const ownsListingShop = async (food, user) => {
+    if (user.role === 'admin') {
+        return true;
+    }
+    const shop = food.shop ?
+        await Shop.findById(food.shop).select('owner') :
+        { owner: food.createdBy }; // Dishes listed before the shop link belong to whoever created them
+    return Boolean(shop?.owner && shop.owner.toString() === user.id && food.isListedBy(shop));
+};
+
 // Input validation helpers
 const validateFoodData = (name, price, cooking_time, menu_category, shopid) => {
     const errors = [];
@@ -102,6 +99,23 @@ const validateFoodData = (name, price, cooking_time, menu_category, shopid) => {
     return errors;
 };
 
+// Option groups arrive as a JSON string from multipart forms. Returns null when malformed.
+const parseOptionGroups = (value) => {
+    if (value === undefined || value === '') return [];
+    try {
+        const groups = typeof value === 'string' ? JSON.parse(value) : value;
+        return Array.isArray(groups) ? groups : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Lean documents created before dish ratings existed have no rating yet
+const withRating = (food) => ({
+    ...food,
+    rating: food.rating || { average: 0, count: 0, distribution: [0, 0, 0, 0, 0] }
+});
+
 // Get all foods with advanced filtering, pagination, and sorting
 router.get('/', async (req, res) => {
     try {
@@ -119,7 +133,8 @@ router.get('/', async (req, res) => {
             shopid,
             veg,
             beverage,
-            minOrderNum
+            minOrderNum,
+            minRating
         } = req.query;
 
         // Build filter object
@@ -151,6 +166,9 @@ router.get('/', async (req, res) => {
         if (minOrderNum) {
             filter.order_num = { $gte: parseInt(minOrderNum) };
         }
+        if (minRating) {
+            filter['rating.average'] = { $gte: parseFloat(minRating) };
+        }
         if (search) {
             filter.$or = [
                 { name: { $regex: search, $options: 'i' } },
@@ -161,7 +179,11 @@ router.get('/', async (req, res) => {
         // Build sort object
         const sort = {};
         const validSortFields = ['createdAt', 'updatedAt', 'name', 'price', 'order_num', 'cooking_time'];
-        if (validSortFields.includes(sortBy)) {
+        if (sortBy === 'rating') {
+            // Ties go to the dish with more ratings
+            sort['rating.average'] = sortOrder === 'asc' ? 1 : -1;
+            sort['rating.count'] = -1;
+        } else if (validSortFields.includes(sortBy)) {
             sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
         } else {
             sort.createdAt = -1;
@@ -186,7 +208,7 @@ router.get('/', async (req, res) => {
 
         res.json({
             success: true,
-            foods,
+            foods: foods.map(withRating),
             pagination: {
                 currentPage: pageNum,
                 totalPages,
@@ -205,7 +227,8 @@ router.get('/', async (req, res) => {
                 shopid,
                 veg,
                 beverage,
-                minOrderNum
+                minOrderNum,
+                minRating
             }
         });
     } catch (error) {
@@ -340,9 +363,18 @@ router.get('/:id', async (req, res) => {
             .populate('createdBy', 'name')
             .lean();
 
+        // Latest written reviews for the dish page
+        const reviews = await FoodReview.find({ food: food._id, comment: { $nin: [null, ''] } })
+            .populate('user', 'name')
+            .sort({ createdAt: -1 })
+            .limit(5)
+            .select('user rating comment createdAt')
+            .lean();
+
         res.json({
             success: true,
-            food,
+            food: withRating(food),
+            reviews,
             relatedFoods,
             message: 'Food item fetched successfully'
         });
@@ -367,7 +399,9 @@ router.post('/add', authenticateToken, authorizeRestaurantOwner, upload.single('
             beverage = false,
             cuisine = 'International',
             menu_category,
-            shopid
+            shopid,
+            shop,
+            optionGroups
         } = req.body;
 
         // Validate input
@@ -388,6 +422,18 @@ router.post('/add', authenticateToken, authorizeRestaurantOwner, upload.single('
             });
         }
 
+        let listingShop;
+        if (shop) {
+            const result = await findListingShop(shop, req.user);
+            if (!result.shop) {
+                return res.status(result.status).json({
+                    success: false,
+                    message: result.message
+                });
+            }
+            listingShop = result.shop;
+        }
+
         // Check if food with same name already exists for this shop
         const existingFood = await Food.findOne({
             name: { $regex: `^${name.trim()}$`, $options: 'i' },
@@ -401,6 +447,14 @@ router.post('/add', authenticateToken, authorizeRestaurantOwner, upload.single('
             });
         }
 
+        const parsedOptionGroups = parseOptionGroups(optionGroups);
+        if (parsedOptionGroups === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'optionGroups must be a JSON array'
+            });
+        }
+
         const imageUrl = `/uploads/foods/${req.file.filename}`;
 
         // Create food item
@@ -414,7 +468,9 @@ router.post('/add', authenticateToken, authorizeRestaurantOwner, upload.single('
             cuisine: cuisine.trim(),
             menu_category: parseInt(menu_category),
             shopid: parseInt(shopid),
+            shop: listingShop?._id,
             image: imageUrl,
+            optionGroups: parsedOptionGroups,
             createdBy: req.user.id
         });
 
@@ -428,6 +484,13 @@ router.post('/add', authenticateToken, authorizeRestaurantOwner, upload.single('
             food: populatedFood
         });
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
         console.error('Add food error:', error);
         res.status(500).json({
             success: false,
@@ -475,6 +538,16 @@ router.put('/update/:id', authenticateToken, authorizeRestaurantOwner, upload.si
         if (updateFields.cuisine) updateData.cuisine = updateFields.cuisine.trim();
         if (updateFields.menu_category) updateData.menu_category = parseInt(updateFields.menu_category);
         if (updateFields.shopid) updateData.shopid = parseInt(updateFields.shopid);
+        if (updateFields.shop) {
+            const result = await findListingShop(updateFields.shop, req.user);
+            if (!result.shop) {
+                return res.status(result.status).json({
+                    success: false,
+                    message: result.message
+                });
+            }
+            updateData.shop = result.shop._id;
+        }
         
         if (updateFields.instock !== undefined) {
             updateData.instock = updateFields.instock === 'true' || updateFields.instock === true;
@@ -485,6 +558,15 @@ router.put('/update/:id', authenticateToken, authorizeRestaurantOwner, upload.si
         if (updateFields.beverage !== undefined) {
             updateData.beverage = updateFields.beverage === 'true' || updateFields.beverage === true;
         }
+        if (updateFields.optionGroups !== undefined) {
+            updateData.optionGroups = parseOptionGroups(updateFields.optionGroups);
+            if (updateData.optionGroups === null) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'optionGroups must be a JSON array'
+                });
+            }
+        }
 
         // Handle image upload
         if (req.file) {
@@ -505,6 +587,13 @@ router.put('/update/:id', authenticateToken, authorizeRestaurantOwner, upload.si
             food
         });
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
         console.error('Update food error:', error);
         res.status(500).json({
             success: false,
@@ -558,6 +647,73 @@ router.patch('/toggle-stock/:id', authenticateToken, authorizeRestaurantOwner, a
     }
 });
 
+// Set portion count and daily par level (Protected route).
+// Send null to stop tracking stock or to turn off the daily reset.
+router.patch('/stock/:id', authenticateToken, authorizeRestaurantOwner, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { stockQuantity, dailyParLevel } = req.body;
+
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid food ID format'
+            });
+        }
+
+        const parseCount = (value) => (value === null ? null : parseInt(value));
+        const updates = {};
+        if (stockQuantity !== undefined) updates.stockQuantity = parseCount(stockQuantity);
+        if (dailyParLevel !== undefined) updates.dailyParLevel = parseCount(dailyParLevel);
+
+        const invalid = Object.values(updates).some(value => value !== null && (isNaN(value) || value < 0));
+        if (Object.keys(updates).length === 0 || invalid) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide stockQuantity and/or dailyParLevel as whole numbers of 0 or more, or null'
+            });
+        }
+
+        const food = await Food.findById(id);
+        if (!food) {
+            return res.status(404).json({
+                success: false,
+                message: 'Food item not found'
+            });
+        }
+
+        if (!(await ownsListingShop(food, req.user))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only manage stock for dishes on your own shop'
+            });
+        }
+
+        Object.assign(food, updates);
+        // A tracked item is in stock exactly when portions are left
+        if (updates.stockQuantity !== undefined && updates.stockQuantity !== null) {
+            food.instock = updates.stockQuantity > 0;
+        }
+        await food.save();
+
+        res.json({
+            success: true,
+            message: 'Stock updated successfully',
+            stock: {
+                stockQuantity: food.stockQuantity,
+                dailyParLevel: food.dailyParLevel,
+                instock: food.instock
+            }
+        });
+    } catch (error) {
+        console.error('Update stock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating stock'
+        });
+    }
+});
+
 // Increment order count when food is ordered
 router.patch('/increment-order/:id', authenticateToken, async (req, res) => {
     try {
@@ -0,0 +1,560 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import FoodReview from '../models/FoodReview.js';
+import { verifyAccessToken as authenticateToken } from '../routes/auth.js';
+import { transitionOrderStatus, getOrderRoles, OrderStatusError } from '../utils/orderLifecycle.js';
+import { getUploadPath } from '../utils/upload.js';
+
+const router = express.Router();
+
+const ORDER_STATUSES = Order.schema.path('status').enumValues;
+const DELIVERY_TRAVEL_MINUTES = 20; // Added on top of preparation time for the delivery estimate
+
+// Resolve an order by its public orderId (ORD...) or by its Mongo _id
+const findOrderByIdentifier = (identifier) => {
+  if (mongoose.isValidObjectId(identifier)) {
+    return Order.findOne({ $or: [{ _id: identifier }, { orderId: identifier }] });
+  }
+  return Order.findOne({ orderId: identifier });
+};
+
+// Lifecycle errors carry their own status code; anything else is a server error
+const sendOrderError = (res, error, label, message) => {
+  if (error instanceof OrderStatusError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label}:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+const orderStatusResponse = (order) => ({
+  _id: order._id,
+  orderId: order.orderId,
+  status: order.status,
+  statusHistory: order.statusHistory,
+  paymentStatus: order.paymentStatus,
+  cancellationReason: order.cancellationReason,
+  preparationTime: order.preparationTime,
+  fulfillmentType: order.fulfillmentType,
+  scheduledFor: order.scheduledFor,
+  estimatedReadyTime: order.estimatedReadyTime,
+  estimatedDeliveryTime: order.estimatedDeliveryTime,
+  readyAt: order.readyAt,
+  actualDeliveryTime: order.actualDeliveryTime
+});
+
+// Get the logged in customer's orders with filtering and pagination
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      scheduled,
+      from,
+      to
+    } = req.query;
+
+    const filter = { userId: req.user.id };
+
+    // Only orders placed for a later delivery slot (or only the ones that weren't)
+    if (scheduled === 'true' || scheduled === 'false') {
+      filter.scheduledFor = { $exists: scheduled === 'true' };
+    }
+
+    // Status filter (comma separated list allowed)
+    if (status) {
+      const statusArray = status.split(',').map(s => s.trim());
+      const invalidStatuses = statusArray.filter(s => !ORDER_STATUSES.includes(s));
+      if (invalidStatuses.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status filter: ${invalidStatuses.join(', ')}`
+        });
+      }
+      filter.status = { $in: statusArray };
+    }
+
+    // Date range filter
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date range. Use ISO dates, e.g. 2024-01-31'
+        });
+      }
+
+      filter.createdAt = {};
+      if (fromDate) filter.createdAt.$gte = fromDate;
+      if (toDate) filter.createdAt.$lte = toDate;
+    }
+
+    // Calculate pagination
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 10));
+    const skip = (pageNum - 1) * limitNum;
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .select('orderId shopId items status paymentMethod paymentStatus grandTotal fulfillmentType scheduledFor estimatedReadyTime estimatedDeliveryTime actualDeliveryTime createdAt')
+        .populate('shopId', 'name image address phone')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      Order.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.json({
+      success: true,
+      orders: orders.map(order => ({
+        ...order,
+        itemCount: order.items.reduce((sum, item) => sum + item.quantity, 0)
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limitNum,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1
+      },
+      filters: {
+        status,
+        scheduled,
+        from,
+        to
+      }
+    });
+  } catch (error) {
+    console.error('Get orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching orders',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get a single order by orderId or _id
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const order = await findOrderByIdentifier(req.params.id)
+      .populate('shopId', 'name image address phone location')
+      .populate('items.foodId', 'name image')
+      .lean();
+
+    if (!order || order.userId.toString() !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const itemRatings = await FoodReview.find({ order: order._id })
+      .select('food rating comment')
+      .lean();
+
+    res.json({
+      success: true,
+      order: {
+        _id: order._id,
+        orderId: order.orderId,
+        status: order.status,
+        statusHistory: order.statusHistory,
+        shop: order.shopId,
+        items: order.items,
+        totals: {
+          itemTotal: order.totalAmount,
+          deliveryFee: order.deliveryFee,
+          taxes: order.taxes,
+          discount: order.discount,
+          grandTotal: order.grandTotal
+        },
+        coupon: order.coupon?.code,
+        checkoutGroup: order.checkoutGroup,
+        payment: {
+          method: order.paymentMethod,
+          status: order.paymentStatus,
+          paymentId: order.paymentId,
+          provider: order.paymentProvider,
+          paidAt: order.paidAt,
+          refundId: order.refundId,
+          refundedTo: order.refundedTo,
+          refundedAt: order.refundedAt
+        },
+        fulfillmentType: order.fulfillmentType,
+        deliveryAddress: order.deliveryAddress,
+        phoneNumber: order.phoneNumber,
+        // Shared with the rider at the door, or shown at the counter for pickup, to confirm the handoff
+        deliveryOtp: ['delivered', 'cancelled'].includes(order.status) ? undefined : order.deliveryOtp,
+        pickupCode: ['delivered', 'cancelled'].includes(order.status) ? undefined : order.pickupCode,
+        proofOfDelivery: order.proofOfDelivery,
+        orderNotes: order.orderNotes,
+        scheduledFor: order.scheduledFor,
+        estimatedReadyTime: order.estimatedReadyTime,
+        estimatedDeliveryTime: order.estimatedDeliveryTime,
+        actualDeliveryTime: order.actualDeliveryTime,
+        cancellationReason: order.cancellationReason,
+        rating: order.rating,
+        review: order.review,
+        itemRatings,
+        createdAt: order.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching order'
+    });
+  }
+});
+
+// Proof of delivery photo. It shows the customer's door, so only the customer, the rider and admins see it.
+router.get('/:id/delivery-photo', authenticateToken, async (req, res) => {
+  try {
+    const order = await findOrderByIdentifier(req.params.id).select('userId rider shopId proofOfDelivery');
+    const roles = order ? await getOrderRoles(order, req.user) : [];
+
+    if (!order || !['customer', 'rider', 'admin'].some(role => roles.includes(role))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Photos from before photoFile was stored only kept their old public path
+    const { photoFile, photo } = order.proofOfDelivery || {};
+    if (!photoFile && !photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'No delivery photo for this order'
+      });
+    }
+
+    res.sendFile(getUploadPath('deliveries', photoFile || photo), error => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Delivery photo not found'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Get delivery photo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching delivery photo'
+    });
+  }
+});
+
+// Update order status (shop owners, delivery riders and admins)
+router.patch('/:id/status', authenticateToken, async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status is required'
+      });
+    }
+
+    const order = await findOrderByIdentifier(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    await transitionOrderStatus(order, status, { user: req.user, reason });
+
+    res.json({
+      success: true,
+      message: `Order status updated to ${order.status}`,
+      order: orderStatusResponse(order)
+    });
+  } catch (error) {
+    sendOrderError(res, error, 'Update order status error', 'Server error while updating order status');
+  }
+});
+
+// Cancel an order (customer)
+router.post('/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const { reason, refundTo } = req.body;
+
+    if (refundTo && !['original', 'wallet'].includes(refundTo)) {
+      return res.status(400).json({
+        success: false,
+        message: 'refundTo must be either original or wallet'
+      });
+    }
+
+    const order = await findOrderByIdentifier(req.params.id);
+    if (!order || order.userId.toString() !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    await transitionOrderStatus(order, 'cancelled', {
+      user: req.user,
+      reason: reason?.trim() || 'Cancelled by customer',
+      refundTo
+    });
+
+    let message = 'Order cancelled successfully';
+    if (order.paymentStatus === 'refunded') {
+      message = order.refundedTo === 'wallet' ?
+        'Order cancelled. The amount has been refunded to your wallet.' :
+        'Order cancelled. Your payment will be refunded.';
+    }
+
+    res.json({
+      success: true,
+      message,
+      order: orderStatusResponse(order)
+    });
+  } catch (error) {
+    sendOrderError(res, error, 'Cancel order error', 'Server error while cancelling order');
+  }
+});
+
+// Accept an incoming order with an estimated preparation time (shop owner or admin)
+router.post('/:id/accept', authenticateToken, async (req, res) => {
+  try {
+    const preparationTime = parseInt(req.body.preparationTime);
+
+    if (!preparationTime || preparationTime < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Preparation time (in minutes) is required'
+      });
+    }
+
+    const order = await findOrderByIdentifier(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    order.preparationTime = preparationTime;
+    // Scheduled orders keep their slot unless the kitchen can't make it in time
+    if (order.fulfillmentType === 'pickup') {
+      const readyBy = new Date(Date.now() + preparationTime * 60 * 1000);
+      order.estimatedReadyTime = order.scheduledFor > readyBy ? order.scheduledFor : readyBy;
+    } else {
+      order.deliveryTime = preparationTime + DELIVERY_TRAVEL_MINUTES;
+      const deliverBy = new Date(Date.now() + order.deliveryTime * 60 * 1000);
+      order.estimatedDeliveryTime = order.scheduledFor > deliverBy ? order.scheduledFor : deliverBy;
+    }
+
+    await transitionOrderStatus(order, 'confirmed', {
+      user: req.user,
+      reason: `Accepted with ${preparationTime} min preparation time`
+    });
+
+    res.json({
+      success: true,
+      message: 'Order accepted',
+      order: orderStatusResponse(order)
+    });
+  } catch (error) {
+    sendOrderError(res, error, 'Accept order error', 'Server error while accepting order');
+  }
+});
+
+// Mark an order as ready for pickup (shop owner or admin)
+router.post('/:id/ready', authenticateToken, async (req, res) => {
+  try {
+    const order = await findOrderByIdentifier(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    await transitionOrderStatus(order, 'ready', { user: req.user });
+
+    res.json({
+      success: true,
+      message: 'Order is ready for pickup',
+      order: orderStatusResponse(order)
+    });
+  } catch (error) {
+    sendOrderError(res, error, 'Mark order ready error', 'Server error while updating order');
+  }
+});
+
+// Hand a pickup order to the customer once they show their pickup code (shop owner or admin)
+router.post('/:id/collect', authenticateToken, async (req, res) => {
+  try {
+    const { pickupCode } = req.body;
+
+    const order = await findOrderByIdentifier(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.fulfillmentType !== 'pickup') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pickup orders are collected at the shop'
+      });
+    }
+
+    await transitionOrderStatus(order, 'delivered', {
+      user: req.user,
+      reason: 'Collected by customer',
+      handoverCode: pickupCode
+    });
+
+    res.json({
+      success: true,
+      message: 'Order collected',
+      order: orderStatusResponse(order)
+    });
+  } catch (error) {
+    sendOrderError(res, error, 'Collect order error', 'Server error while handing over order');
+  }
+});
+
+// Rate dishes from a delivered order. Rating a dish again replaces the earlier rating.
+router.post('/:id/item-ratings', authenticateToken, async (req, res) => {
+  try {
+    const { ratings } = req.body;
+
+    if (!Array.isArray(ratings) || ratings.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'ratings must be a list of { foodId, rating, comment }'
+      });
+    }
+
+    const order = await findOrderByIdentifier(req.params.id);
+    if (!order || order.userId.toString() !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.status !== 'delivered') {
+      return res.status(400).json({
+        success: false,
+        message: 'You can rate items once the order has been delivered'
+      });
+    }
+
+    const orderedFoodIds = new Set(order.items.map(item => item.foodId.toString()));
+    for (const entry of ratings) {
+      const rating = Number(entry.rating);
+      if (!orderedFoodIds.has(String(entry.foodId))) {
+        return res.status(400).json({
+          success: false,
+          message: 'You can only rate items that were in this order'
+        });
+      }
+      if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each rating must be a whole number from 1 to 5'
+        });
+      }
+    }
+
+    // Saved one by one so each dish's aggregate rating is recomputed
+    const itemRatings = [];
+    for (const entry of ratings) {
+      let review = await FoodReview.findOne({ order: order._id, food: entry.foodId });
+      if (review) {
+        review.updatedAt = new Date();
+      } else {
+        review = new FoodReview({ order: order._id, food: entry.foodId, shop: order.shopId, user: req.user.id });
+      }
+      review.rating = Number(entry.rating);
+      review.comment = entry.comment;
+      await review.save();
+      itemRatings.push(review);
+    }
+
+    res.json({
+      success: true,
+      message: 'Thanks for rating your order',
+      itemRatings
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    sendOrderError(res, error, 'Rate order items error', 'Server error while saving ratings');
+  }
+});
+
+// Reject an order (shop owner or admin)
+router.post('/:id/reject', authenticateToken, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rejection reason is required'
+      });
+    }
+
+    const order = await findOrderByIdentifier(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const roles = await getOrderRoles(order, req.user);
+    if (!roles.includes('shop') && !roles.includes('admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the shop owner or an admin can reject this order'
+      });
+    }
+
+    await transitionOrderStatus(order, 'cancelled', { user: req.user, reason: reason.trim() });
+
+    res.json({
+      success: true,
+      message: 'Order rejected',
+      order: orderStatusResponse(order)
+    });
+  } catch (error) {
+    sendOrderError(res, error, 'Reject order error', 'Server error while rejecting order');
+  }
+});
+
+export default router;
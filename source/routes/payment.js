@@ -0,0 +1,291 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import { verifyAccessToken as authenticateToken, verifyAdmin } from '../routes/auth.js';
+import { confirmOrderPayment, getPaymentProvider, isOnlinePaymentEnabled, processPaymentEvent } from '../utils/payments.js';
+import { emitOrderUpdate } from '../utils/orderEvents.js';
+import { settleWalletTopup } from '../utils/wallet.js';
+
+const router = express.Router();
+
+// A delivery still processing an event after this long is assumed to have died
+const PROCESSING_LEASE_MS = 2 * 60 * 1000;
+
+// Take a stored event for processing. Events nobody finished (still received, failed,
+// or processing past the lease) can be taken over by a later delivery of the same event.
+const claimPaymentEvent = (filter) => PaymentEvent.findOneAndUpdate(
+  {
+    ...filter,
+    $or: [
+      { status: { $in: ['received', 'failed'] } },
+      { status: 'processing', processingStartedAt: { $lt: new Date(Date.now() - PROCESSING_LEASE_MS) } }
+    ]
+  },
+  { $set: { status: 'processing', processingStartedAt: new Date() } },
+  { new: true }
+);
+
+// Apply a stored event to its orders and record the outcome on the event
+const runPaymentEvent = async (event) => {
+  event.attempts += 1;
+  try {
+    const result = await processPaymentEvent(event);
+    event.status = result.status;
+    event.orders = result.orders;
+    event.error = result.reason;
+
+    // Intents that belong to no order may be wallet top-ups
+    if (result.orders.length === 0 && event.intentId &&
+        ['payment.succeeded', 'payment.failed'].includes(event.type)) {
+      const topup = await settleWalletTopup(event.intentId, {
+        status: event.type === 'payment.succeeded' ? 'succeeded' : 'failed'
+      });
+      if (topup) {
+        event.status = 'processed';
+        event.error = undefined;
+      }
+    }
+  } catch (error) {
+    event.status = 'failed';
+    event.error = error.message;
+  }
+  event.processedAt = new Date();
+  await event.save();
+  return event;
+};
+
+// Provider webhook. Authenticated by the provider's signature, not by a user token.
+router.post('/webhook', async (req, res) => {
+  try {
+    if (!isOnlinePaymentEnabled()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Online payments are not enabled'
+      });
+    }
+
+    const provider = getPaymentProvider();
+    // Fail closed: without a signing secret no webhook can be trusted
+    if (!provider.isWebhookConfigured()) {
+      console.error('Payment webhook rejected: webhook secret is not configured');
+      return res.status(503).json({
+        success: false,
+        message: 'Payment webhooks are not configured'
+      });
+    }
+
+    const payload = await provider.verifyWebhook(req.rawBody, req.headers);
+    if (!payload) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    if (!payload.id || !payload.type) {
+      return res.status(400).json({
+        success: false,
+        message: 'Webhook event id and type are required'
+      });
+    }
+
+    let event;
+    try {
+      event = await PaymentEvent.create({
+        provider: provider.name,
+        eventId: payload.id,
+        type: payload.type,
+        intentId: payload.data?.intentId,
+        paymentId: payload.data?.paymentId,
+        payload,
+        signature: req.headers[provider.signatureHeader],
+        status: 'processing',
+        processingStartedAt: new Date()
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Same event delivered again: pick it up unless it was applied or is being applied right now
+      event = await claimPaymentEvent({ provider: provider.name, eventId: payload.id });
+      if (!event) {
+        const existing = await PaymentEvent.findOne({ provider: provider.name, eventId: payload.id }).select('status');
+        // Still in progress elsewhere: ask the provider to deliver it again later
+        if (existing.status === 'processing') {
+          return res.status(409).json({
+            success: false,
+            message: 'Event is still being processed',
+            duplicate: true,
+            status: existing.status
+          });
+        }
+        return res.json({
+          success: true,
+          message: 'Event already received',
+          duplicate: true,
+          status: existing.status
+        });
+      }
+    }
+
+    await runPaymentEvent(event);
+
+    // Failed processing is reported with 500 so the provider retries the delivery
+    res.status(event.status === 'failed' ? 500 : 200).json({
+      success: event.status !== 'failed',
+      message: event.status === 'failed' ? 'Event processing failed' : 'Event received',
+      status: event.status
+    });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while handling payment webhook'
+    });
+  }
+});
+
+// Admin: audit trail of payment events
+router.get('/admin/events', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const { status, orderId, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (orderId && mongoose.isValidObjectId(orderId)) filter.orders = orderId;
+
+    const [events, total] = await Promise.all([
+      PaymentEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      PaymentEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      events,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('List payment events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payment events'
+    });
+  }
+});
+
+// Admin: run a stored event again, e.g. after fixing whatever made it fail
+router.post('/admin/events/:id/replay', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid event ID'
+      });
+    }
+
+    const event = await PaymentEvent.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment event not found'
+      });
+    }
+
+    await runPaymentEvent(event);
+
+    res.json({
+      success: event.status !== 'failed',
+      message: `Event replayed: ${event.status}`,
+      event
+    });
+  } catch (error) {
+    console.error('Replay payment event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while replaying payment event'
+    });
+  }
+});
+
+// Confirm an online payment for one of the customer's orders.
+// Gateways with client-side SDKs report the result via webhook instead.
+router.post('/:orderId/confirm', authenticateToken, async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { paymentDetails } = req.body;
+
+    const filter = mongoose.isValidObjectId(orderId) ?
+      { $or: [{ _id: orderId }, { orderId }] } :
+      { orderId };
+
+    const order = await Order.findOne({ ...filter, userId: req.user.id });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.paymentIntentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This order has no online payment to confirm'
+      });
+    }
+
+    if (order.paymentStatus === 'completed') {
+      return res.json({
+        success: true,
+        message: 'Payment already completed',
+        payment: { status: order.paymentStatus, paymentId: order.paymentId }
+      });
+    }
+
+    if (order.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot pay for a cancelled order'
+      });
+    }
+
+    const result = await confirmOrderPayment(order, paymentDetails);
+    await order.save();
+    emitOrderUpdate(order, 'payment');
+
+    if (result.status !== 'succeeded') {
+      return res.status(402).json({
+        success: false,
+        message: result.failureReason || 'Payment failed',
+        payment: { status: order.paymentStatus }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment successful',
+      payment: {
+        status: order.paymentStatus,
+        paymentId: order.paymentId,
+        paidAt: order.paidAt
+      }
+    });
+  } catch (error) {
+    console.error('Confirm payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while confirming payment'
+    });
+  }
+});
+
+export default router;
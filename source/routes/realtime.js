@@ -0,0 +1,114 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Shop from '../models/shop.js';
+import Order from '../models/Order.js';
+import orderEvents, { ORDER_UPDATED } from '../utils/orderEvents.js';
+import { getOrderRoles, isAwaitingPayment } from '../utils/orderLifecycle.js';
+import { verifyAccessToken } from '../routes/auth.js';
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // Keeps proxies from closing idle streams
+
+// EventSource cannot set headers, so browsers may pass the access token as ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+// Stream order updates over Server-Sent Events.
+// Customers receive their own orders, owners their shops' orders (prepaid ones once paid,
+// as in the shop queue), riders the orders assigned to them and admins everything.
+// Pass ?orderId= to follow a single order. When the access token expires the stream
+// sends a token_expired event and closes.
+router.get('/orders', tokenFromQuery, verifyAccessToken, async (req, res) => {
+  try {
+    const { orderId } = req.query;
+    const user = req.user;
+    const isAdmin = user.isAdmin || user.role === 'admin';
+
+    let followedOrderId = null;
+    if (orderId) {
+      const order = await Order.findOne(
+        mongoose.isValidObjectId(orderId) ?
+          { $or: [{ _id: orderId }, { orderId }] } :
+          { orderId }
+      );
+
+      if (!order || (await getOrderRoles(order, user)).length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+      followedOrderId = order._id.toString();
+    }
+
+    const ownedShopIds = new Set(
+      (await Shop.find({ owner: user.id }).distinct('_id')).map(id => id.toString())
+    );
+
+    const canSee = (update) => {
+      if (followedOrderId && update._id !== followedOrderId) return false;
+      return isAdmin ||
+        update.userId === user.id ||
+        update.riderId === user.id ||
+        (ownedShopIds.has(update.shopId) && !isAwaitingPayment(update));
+    };
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    writeEvent(res, 'connected', {
+      userId: user.id,
+      orderId: followedOrderId,
+      timestamp: new Date().toISOString()
+    });
+
+    const onOrderUpdate = (update) => {
+      if (canSee(update)) {
+        writeEvent(res, ORDER_UPDATED, update);
+      }
+    };
+    orderEvents.on(ORDER_UPDATED, onOrderUpdate);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+    // The stream lives no longer than the token that opened it; clients reconnect with a fresh one
+    const expiryTimer = setTimeout(() => {
+      writeEvent(res, 'token_expired', {
+        code: 'TOKEN_EXPIRED',
+        message: 'Access token expired. Reconnect with a new token.'
+      });
+      res.end();
+    }, Math.max(user.exp * 1000 - Date.now(), 0));
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiryTimer);
+      orderEvents.off(ORDER_UPDATED, onOrderUpdate);
+    });
+  } catch (error) {
+    console.error('Order stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error while opening order stream'
+      });
+    }
+  }
+});
+
+export default router;
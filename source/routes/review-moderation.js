@@ -0,0 +1,145 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Review from '../models/Review.js';
+import { verifyAccessToken as authenticateToken, verifyAdmin } from '../routes/auth.js';
+import { pendingReportFilter, hideReview, restoreReview } from '../utils/reviewModeration.js';
+
+// Mounted at /api/admin/reviews. Every route is admin only.
+const router = express.Router();
+
+router.use(authenticateToken, verifyAdmin);
+
+const QUEUE_FILTERS = {
+  reported: pendingReportFilter,
+  hidden: () => ({ status: 'hidden' }),
+  all: () => ({ reportCount: { $gt: 0 } })
+};
+
+const loadReview = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid review ID' });
+    return null;
+  }
+
+  const review = await Review.findById(req.params.id);
+  if (!review) {
+    res.status(404).json({ success: false, message: 'Review not found' });
+    return null;
+  }
+  return review;
+};
+
+// Moderation queue: reviews with reports nobody has handled yet (or hidden / all reported ones)
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, queue = 'reported' } = req.query;
+    const buildFilter = QUEUE_FILTERS[queue];
+    if (!buildFilter) {
+      return res.status(400).json({
+        success: false,
+        message: `queue must be one of: ${Object.keys(QUEUE_FILTERS).join(', ')}`
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const filter = buildFilter();
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate('userId', 'name email')
+        .populate('shopId', 'name')
+        .populate('reports.user', 'name email')
+        .sort({ reportCount: -1, createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Review.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.json({
+      success: true,
+      reviews,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limitNum,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reported reviews'
+    });
+  }
+});
+
+router.patch('/:id/hide', async (req, res) => {
+  try {
+    const review = await loadReview(req, res);
+    if (!review) return;
+
+    await hideReview(review, req.user.id, req.body.note);
+
+    res.json({
+      success: true,
+      message: 'Review hidden',
+      review: { _id: review._id, status: review.status, moderation: review.moderation }
+    });
+  } catch (error) {
+    console.error('Hide review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while hiding review'
+    });
+  }
+});
+
+router.patch('/:id/restore', async (req, res) => {
+  try {
+    const review = await loadReview(req, res);
+    if (!review) return;
+
+    await restoreReview(review, req.user.id, req.body.note);
+
+    res.json({
+      success: true,
+      message: 'Review restored',
+      review: { _id: review._id, status: review.status, moderation: review.moderation }
+    });
+  } catch (error) {
+    console.error('Restore review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring review'
+    });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const review = await loadReview(req, res);
+    if (!review) return;
+
+    await review.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Review deleted'
+    });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting review'
+    });
+  }
+});
+
+export default router;
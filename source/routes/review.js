@@ -0,0 +1,394 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Review from '../models/Review.js';
+import Order from '../models/Order.js';
+import Shop from '../models/shop.js';
+import { verifyAccessToken as authenticateToken } from '../routes/auth.js';
+import { createImageUpload, discardUploadsOnError } from '../utils/upload.js';
+
+// Mounted at /api/shops/:id/reviews
+const router = express.Router({ mergeParams: true });
+
+// Review photos, sent as multipart `photos` fields. Photos sent with a rejected request are deleted again.
+const upload = createImageUpload('reviews', 'review');
+const MAX_REVIEW_PHOTOS = 3;
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  rating: { rating: -1, createdAt: -1 }
+};
+
+const loadShop = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid shop ID format' });
+    return null;
+  }
+
+  const shop = await Shop.findById(req.params.id).select('name owner rating');
+  if (!shop) {
+    res.status(404).json({ success: false, message: 'Shop not found' });
+    return null;
+  }
+  return shop;
+};
+
+const loadReview = async (req, res, shop) => {
+  if (!mongoose.isValidObjectId(req.params.reviewId)) {
+    res.status(400).json({ success: false, message: 'Invalid review ID' });
+    return null;
+  }
+
+  const review = await Review.findOne({ _id: req.params.reviewId, shopId: shop._id });
+  if (!review) {
+    res.status(404).json({ success: false, message: 'Review not found' });
+    return null;
+  }
+  return review;
+};
+
+const canManageShop = (shop, user) =>
+  user.isAdmin || user.role === 'admin' || shop.owner.toString() === user.id;
+
+const toPhotoPaths = (files = []) => files.map(file => `/uploads/reviews/${file.filename}`);
+
+const parseRating = (value) => {
+  const rating = Number(value);
+  return Number.isInteger(rating) && rating >= 1 && rating <= 5 ? rating : null;
+};
+
+const sendReviewError = (res, error, label, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+  console.error(`${label}:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// List a shop's reviews, newest first or highest rated first
+router.get('/', async (req, res) => {
+  try {
+    const shop = await loadShop(req, res);
+    if (!shop) return;
+
+    const { page = 1, limit = 10, sortBy = 'newest' } = req.query;
+    const sort = REVIEW_SORTS[sortBy];
+    if (!sort) {
+      return res.status(400).json({
+        success: false,
+        message: `sortBy must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}`
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 10));
+    const filter = { shopId: shop._id, status: { $ne: 'hidden' } };
+
+    const [reviews, total, distribution] = await Promise.all([
+      Review.find(filter)
+        .populate('userId', 'name')
+        .sort(sort)
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Review.countDocuments(filter),
+      Review.aggregate([
+        { $match: filter },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.json({
+      success: true,
+      rating: {
+        average: shop.rating.average,
+        count: shop.rating.count,
+        distribution: [5, 4, 3, 2, 1].reduce((acc, stars) => {
+          acc[stars] = distribution.find(bucket => bucket._id === stars)?.count || 0;
+          return acc;
+        }, {})
+      },
+      reviews: reviews.map(review => ({
+        _id: review._id,
+        user: review.userId ? { _id: review.userId._id, name: review.userId.name } : null,
+        rating: review.rating,
+        comment: review.comment,
+        photos: review.photos,
+        ownerReply: review.ownerReply?.text ? review.ownerReply : null,
+        verifiedPurchase: Boolean(review.orderId),
+        createdAt: review.createdAt,
+        updatedAt: review.updatedAt
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limitNum,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1
+      }
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Get reviews error', 'Server error while fetching reviews');
+  }
+});
+
+// Review a delivered order from this shop (one review per order)
+router.post('/', authenticateToken, discardUploadsOnError, upload.array('photos', MAX_REVIEW_PHOTOS), async (req, res) => {
+  try {
+    const shop = await loadShop(req, res);
+    if (!shop) return;
+
+    const { orderId, comment } = req.body;
+    const rating = parseRating(req.body.rating);
+    if (!orderId || !rating) {
+      return res.status(400).json({
+        success: false,
+        message: 'orderId and a rating from 1 to 5 are required'
+      });
+    }
+
+    // Accept the public orderId (ORD...) or the Mongo _id
+    const order = await Order.findOne(mongoose.isValidObjectId(orderId) ?
+      { $or: [{ _id: orderId }, { orderId }] } :
+      { orderId });
+
+    if (!order || order.userId.toString() !== req.user.id || order.shopId.toString() !== shop._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found for this shop'
+      });
+    }
+
+    if (order.status !== 'delivered') {
+      return res.status(400).json({
+        success: false,
+        message: 'You can review an order once it has been delivered'
+      });
+    }
+
+    if (await Review.exists({ orderId: order._id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this order'
+      });
+    }
+
+    const review = await Review.create({
+      shopId: shop._id,
+      userId: req.user.id,
+      orderId: order._id,
+      rating,
+      comment,
+      photos: toPhotoPaths(req.files)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Review added successfully',
+      review
+    });
+  } catch (error) {
+    // Two requests for the same order raced past the exists() check
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this order'
+      });
+    }
+    sendReviewError(res, error, 'Create review error', 'Server error while adding review');
+  }
+});
+
+// Edit your own review. Uploading new photos replaces the old ones.
+router.put('/:reviewId', authenticateToken, discardUploadsOnError, upload.array('photos', MAX_REVIEW_PHOTOS), async (req, res) => {
+  try {
+    const shop = await loadShop(req, res);
+    if (!shop) return;
+
+    const review = await loadReview(req, res, shop);
+    if (!review) return;
+
+    if (review.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own reviews'
+      });
+    }
+
+    const { comment } = req.body;
+    if (req.body.rating !== undefined) {
+      const rating = parseRating(req.body.rating);
+      if (!rating) {
+        return res.status(400).json({
+          success: false,
+          message: 'Rating must be a whole number from 1 to 5'
+        });
+      }
+      review.rating = rating;
+    }
+    if (comment !== undefined) review.comment = comment;
+    if (req.files?.length) review.photos = toPhotoPaths(req.files);
+    review.updatedAt = new Date();
+
+    await review.save();
+
+    res.json({
+      success: true,
+      message: 'Review updated successfully',
+      review
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Update review error', 'Server error while updating review');
+  }
+});
+
+// Delete a review (its author or an admin)
+router.delete('/:reviewId', authenticateToken, async (req, res) => {
+  try {
+    const shop = await loadShop(req, res);
+    if (!shop) return;
+
+    const review = await loadReview(req, res, shop);
+    if (!review) return;
+
+    const isAdmin = req.user.isAdmin || req.user.role === 'admin';
+    if (review.userId.toString() !== req.user.id && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own reviews'
+      });
+    }
+
+    await review.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Delete review error', 'Server error while deleting review');
+  }
+});
+
+// Post or replace the shop's public reply (shop owner or admin)
+router.put('/:reviewId/reply', authenticateToken, async (req, res) => {
+  try {
+    const shop = await loadShop(req, res);
+    if (!shop) return;
+
+    if (!canManageShop(shop, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the shop owner can reply to reviews'
+      });
+    }
+
+    const review = await loadReview(req, res, shop);
+    if (!review) return;
+
+    const text = req.body.text?.trim();
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reply text is required'
+      });
+    }
+
+    review.ownerReply = { text, repliedBy: req.user.id, repliedAt: new Date() };
+    await review.save();
+
+    res.json({
+      success: true,
+      message: 'Reply posted',
+      ownerReply: review.ownerReply
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Reply to review error', 'Server error while posting reply');
+  }
+});
+
+router.delete('/:reviewId/reply', authenticateToken, async (req, res) => {
+  try {
+    const shop = await loadShop(req, res);
+    if (!shop) return;
+
+    if (!canManageShop(shop, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the shop owner can remove replies'
+      });
+    }
+
+    const review = await loadReview(req, res, shop);
+    if (!review) return;
+
+    review.ownerReply = undefined;
+    await review.save();
+
+    res.json({
+      success: true,
+      message: 'Reply removed'
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Delete review reply error', 'Server error while removing reply');
+  }
+});
+
+// Report a review as abusive; it goes to the admin moderation queue
+router.post('/:reviewId/report', authenticateToken, async (req, res) => {
+  try {
+    const shop = await loadShop(req, res);
+    if (!shop) return;
+
+    const review = await loadReview(req, res, shop);
+    if (!review) return;
+
+    const reason = req.body.reason?.trim();
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please tell us why you are reporting this review'
+      });
+    }
+
+    if (review.userId.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own review'
+      });
+    }
+
+    // One report per user, checked in the update so repeated taps can't stack reports
+    const result = await Review.updateOne(
+      { _id: review._id, 'reports.user': { $ne: req.user.id } },
+      {
+        $push: { reports: { user: req.user.id, reason } },
+        $inc: { reportCount: 1 }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reported this review'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Thanks, our team will look into this review'
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Report review error', 'Server error while reporting review');
+  }
+});
+
+export default router;
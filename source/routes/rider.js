@@ -0,0 +1,696 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Order from '../models/Order.js';
+import { verifyAccessToken as authenticateToken, verifyAdmin } from '../routes/auth.js';
+import { transitionOrderStatus, OrderStatusError } from '../utils/orderLifecycle.js';
+import { assignNearestRider, assignWaitingOrder } from '../utils/riderAssignment.js';
+import RiderPayout from '../models/RiderPayout.js';
+import { createImageUpload, discardUploadsOnError } from '../utils/upload.js';
+
+const router = express.Router();
+
+// Proof of delivery photos. A photo sent with a request that fails is deleted again.
+const upload = createImageUpload('deliveries', 'delivery');
+
+// Delivery photos are not served publicly: clients fetch them through the order with a token
+const attachDeliveryPhoto = (order, file) => {
+  order.proofOfDelivery.photo = `/api/orders/${order._id}/delivery-photo`;
+  order.proofOfDelivery.photoFile = file.filename;
+  order.proofOfDelivery.photoUploadedAt = new Date();
+};
+
+const ACTIVE_RIDER_STATUSES = ['ready', 'out_for_delivery'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Day and week buckets follow server local time, like the startOfToday boundaries they sit next to
+const SERVER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Optional `from` / `to` report bounds from the query string. Null when either is not a valid date.
+const parseDateRange = ({ from, to }) => {
+  const range = { from: from ? new Date(from) : null, to: to ? new Date(to) : null };
+  return [range.from, range.to].some(date => date && isNaN(date)) ? null : range;
+};
+
+// Shared $group fields for earnings and delivery performance reports
+const deliveryStatsGroup = {
+  deliveries: { $sum: 1 },
+  earnings: { $sum: { $ifNull: ['$riderEarning.amount', 0] } },
+  distanceKm: { $sum: { $ifNull: ['$riderEarning.distanceKm', 0] } },
+  avgDeliveryMinutes: {
+    $avg: { $divide: [{ $subtract: ['$actualDeliveryTime', '$pickedUpAt'] }, 60 * 1000] }
+  },
+  onTimeDeliveries: {
+    $sum: { $cond: [{ $lte: ['$actualDeliveryTime', '$estimatedDeliveryTime'] }, 1, 0] }
+  }
+};
+
+const roundStats = ({ _id, ...stats }) => ({
+  ...(_id != null && { _id }),
+  ...stats,
+  earnings: Math.round(stats.earnings * 100) / 100,
+  distanceKm: Math.round(stats.distanceKm * 100) / 100,
+  avgDeliveryMinutes: stats.avgDeliveryMinutes ? Math.round(stats.avgDeliveryMinutes) : null,
+  onTimeRate: stats.deliveries ? Math.round(stats.onTimeDeliveries / stats.deliveries * 100) : 0
+});
+
+const emptyStats = { deliveries: 0, earnings: 0, distanceKm: 0, avgDeliveryMinutes: null, onTimeDeliveries: 0 };
+
+const escapeCsv = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Middleware to verify delivery rider access
+const verifyRider = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || (user.role !== 'deliveryBoy' && !user.isDeliveryBoy) || !user.isActive) {
+      return res.status(403).json({ success: false, message: 'Delivery rider access required' });
+    }
+    req.rider = user;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error verifying rider status' });
+  }
+};
+
+const riderStatusResponse = (rider) => ({
+  isOnShift: rider.riderStatus.isOnShift,
+  isAvailable: rider.riderStatus.isAvailable,
+  location: rider.riderStatus.location?.coordinates?.length ? rider.riderStatus.location : null,
+  lastLocationAt: rider.riderStatus.lastLocationAt
+});
+
+// Find an order assigned to the logged in rider
+const findRiderOrder = (id, riderId) => {
+  const filter = mongoose.isValidObjectId(id) ?
+    { $or: [{ _id: id }, { orderId: id }] } :
+    { orderId: id };
+  return Order.findOne({ ...filter, rider: riderId });
+};
+
+// Get the rider's current shift state
+router.get('/me', authenticateToken, verifyRider, (req, res) => {
+  res.json({
+    success: true,
+    rider: {
+      _id: req.rider._id,
+      name: req.rider.name,
+      phone: req.rider.phone,
+      status: riderStatusResponse(req.rider)
+    }
+  });
+});
+
+// Start or end a shift
+router.patch('/shift', authenticateToken, verifyRider, async (req, res) => {
+  try {
+    const { isOnShift } = req.body;
+
+    if (typeof isOnShift !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'isOnShift must be true or false' });
+    }
+
+    const rider = req.rider;
+    rider.riderStatus.isOnShift = isOnShift;
+    // Riders come on shift available and stop taking orders when they leave
+    rider.riderStatus.isAvailable = isOnShift;
+    await rider.save();
+
+    if (isOnShift) {
+      await assignWaitingOrder(rider._id);
+    }
+
+    const updatedRider = await User.findById(rider._id).select('riderStatus');
+
+    res.json({
+      success: true,
+      message: isOnShift ? 'Shift started' : 'Shift ended',
+      status: riderStatusResponse(updatedRider)
+    });
+  } catch (error) {
+    console.error('Update rider shift error:', error);
+    res.status(500).json({ success: false, message: 'Error updating shift' });
+  }
+});
+
+// Toggle availability for new orders during a shift
+router.patch('/availability', authenticateToken, verifyRider, async (req, res) => {
+  try {
+    const { isAvailable } = req.body;
+
+    if (typeof isAvailable !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'isAvailable must be true or false' });
+    }
+
+    const rider = req.rider;
+    if (isAvailable && !rider.riderStatus.isOnShift) {
+      return res.status(400).json({ success: false, message: 'Start your shift before going available' });
+    }
+
+    if (isAvailable) {
+      const activeOrder = await Order.exists({ rider: rider._id, status: { $in: ACTIVE_RIDER_STATUSES } });
+      if (activeOrder) {
+        return res.status(400).json({ success: false, message: 'Finish your current delivery first' });
+      }
+    }
+
+    rider.riderStatus.isAvailable = isAvailable;
+    await rider.save();
+
+    if (isAvailable) {
+      await assignWaitingOrder(rider._id);
+    }
+
+    const updatedRider = await User.findById(rider._id).select('riderStatus');
+
+    res.json({
+      success: true,
+      message: isAvailable ? 'You are now available for orders' : 'You are now unavailable',
+      status: riderStatusResponse(updatedRider)
+    });
+  } catch (error) {
+    console.error('Update rider availability error:', error);
+    res.status(500).json({ success: false, message: 'Error updating availability' });
+  }
+});
+
+// Post the rider's current location
+router.post('/location', authenticateToken, verifyRider, async (req, res) => {
+  try {
+    const latitude = parseFloat(req.body.latitude);
+    const longitude = parseFloat(req.body.longitude);
+
+    if (isNaN(latitude) || isNaN(longitude) ||
+        latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+      return res.status(400).json({ success: false, message: 'Valid latitude and longitude are required' });
+    }
+
+    const rider = req.rider;
+    rider.riderStatus.location = { type: 'Point', coordinates: [longitude, latitude] };
+    rider.riderStatus.lastLocationAt = new Date();
+    await rider.save();
+
+    // An idle rider may now be close enough to a waiting order
+    const assignedOrder = rider.riderStatus.isAvailable ? await assignWaitingOrder(rider._id) : null;
+
+    res.json({
+      success: true,
+      message: 'Location updated',
+      assignedOrder: assignedOrder ? { _id: assignedOrder._id, orderId: assignedOrder.orderId } : null
+    });
+  } catch (error) {
+    console.error('Update rider location error:', error);
+    res.status(500).json({ success: false, message: 'Error updating location' });
+  }
+});
+
+// Get orders assigned to the rider (active ones by default)
+router.get('/orders', authenticateToken, verifyRider, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const filter = { rider: req.rider._id };
+    filter.status = status ?
+      { $in: status.split(',').map(s => s.trim()) } :
+      { $in: ACTIVE_RIDER_STATUSES };
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 10));
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .select('orderId shopId items status grandTotal paymentMethod paymentStatus deliveryAddress phoneNumber orderNotes riderAssignedAt pickedUpAt readyAt actualDeliveryTime createdAt')
+        .populate('shopId', 'name phone address location')
+        .populate('userId', 'name phone')
+        .sort({ riderAssignedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Order.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      orders,
+      pagination: {
+        current: pageNum,
+        pages: Math.ceil(total / limitNum),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get rider orders error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching orders' });
+  }
+});
+
+// Confirm pickup from the shop
+router.post('/orders/:id/pickup', authenticateToken, verifyRider, async (req, res) => {
+  try {
+    const order = await findRiderOrder(req.params.id, req.rider._id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    await transitionOrderStatus(order, 'out_for_delivery', { user: req.user, reason: 'Picked up by rider' });
+
+    res.json({
+      success: true,
+      message: 'Pickup confirmed',
+      order: { _id: order._id, orderId: order.orderId, status: order.status, pickedUpAt: order.pickedUpAt }
+    });
+  } catch (error) {
+    if (error instanceof OrderStatusError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Rider pickup error:', error);
+    res.status(500).json({ success: false, message: 'Error confirming pickup' });
+  }
+});
+
+// Confirm delivery to the customer with their OTP (optionally with a photo)
+router.post('/orders/:id/deliver', authenticateToken, verifyRider, discardUploadsOnError, upload.single('photo'), async (req, res) => {
+  try {
+    const { otp } = req.body;
+
+    const order = await findRiderOrder(req.params.id, req.rider._id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    // Keep the rider's live position current; earnings are worked out from the delivery address
+    const latitude = parseFloat(req.body.latitude);
+    const longitude = parseFloat(req.body.longitude);
+    if (!isNaN(latitude) && !isNaN(longitude)) {
+      req.rider.riderStatus.location = { type: 'Point', coordinates: [longitude, latitude] };
+      req.rider.riderStatus.lastLocationAt = new Date();
+      await req.rider.save();
+    }
+
+    if (req.file) {
+      attachDeliveryPhoto(order, req.file);
+    }
+
+    await transitionOrderStatus(order, 'delivered', {
+      user: req.user,
+      reason: 'Delivered by rider',
+      handoverCode: otp
+    });
+
+    res.json({
+      success: true,
+      message: 'Delivery confirmed',
+      order: {
+        _id: order._id,
+        orderId: order.orderId,
+        status: order.status,
+        actualDeliveryTime: order.actualDeliveryTime,
+        proofOfDelivery: order.proofOfDelivery,
+        earning: order.riderEarning
+      }
+    });
+  } catch (error) {
+    if (error instanceof OrderStatusError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Rider delivery error:', error);
+    res.status(500).json({ success: false, message: 'Error confirming delivery' });
+  }
+});
+
+// Get the rider's earnings and delivery performance (daily and weekly)
+router.get('/earnings', authenticateToken, verifyRider, async (req, res) => {
+  try {
+    const riderId = req.rider._id;
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+    const last7Days = new Date(startOfToday.getTime() - 6 * DAY_MS);
+    const last8Weeks = new Date(startOfToday.getTime() - 8 * 7 * DAY_MS);
+
+    const delivered = { rider: riderId, status: 'delivered' };
+
+    const [today, daily, weekly, unbatched, unsettledPayouts] = await Promise.all([
+      Order.aggregate([
+        { $match: { ...delivered, actualDeliveryTime: { $gte: startOfToday } } },
+        { $group: { _id: null, ...deliveryStatsGroup } }
+      ]),
+      Order.aggregate([
+        { $match: { ...delivered, actualDeliveryTime: { $gte: last7Days } } },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m-%d', date: '$actualDeliveryTime', timezone: SERVER_TIMEZONE } },
+            ...deliveryStatsGroup
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      Order.aggregate([
+        { $match: { ...delivered, actualDeliveryTime: { $gte: last8Weeks } } },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%G-W%V', date: '$actualDeliveryTime', timezone: SERVER_TIMEZONE } },
+            ...deliveryStatsGroup
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      // Earnings not yet included in any payout
+      Order.aggregate([
+        { $match: { ...delivered, 'riderEarning.payout': null } },
+        { $group: { _id: null, amount: { $sum: { $ifNull: ['$riderEarning.amount', 0] } } } }
+      ]),
+      RiderPayout.aggregate([
+        { $match: { rider: riderId, status: 'unsettled' } },
+        { $group: { _id: null, amount: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      earnings: {
+        today: today[0] ? roundStats(today[0]) : roundStats(emptyStats),
+        daily: daily.map(roundStats),
+        weekly: weekly.map(roundStats),
+        pendingPayout: Math.round(((unbatched[0]?.amount || 0) + (unsettledPayouts[0]?.amount || 0)) * 100) / 100
+      }
+    });
+  } catch (error) {
+    console.error('Get rider earnings error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching earnings' });
+  }
+});
+
+// Upload a delivery photo separately (e.g. when it failed to upload with the delivery)
+router.post('/orders/:id/photo', authenticateToken, verifyRider, discardUploadsOnError, upload.single('photo'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'Delivery photo is required' });
+    }
+
+    const order = await findRiderOrder(req.params.id, req.rider._id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    if (!['out_for_delivery', 'delivered'].includes(order.status)) {
+      return res.status(400).json({ success: false, message: 'Photos can only be added once the order is picked up' });
+    }
+
+    attachDeliveryPhoto(order, req.file);
+    await order.save();
+
+    res.json({ success: true, message: 'Delivery photo uploaded', proofOfDelivery: order.proofOfDelivery });
+  } catch (error) {
+    console.error('Upload delivery photo error:', error);
+    res.status(500).json({ success: false, message: 'Error uploading delivery photo' });
+  }
+});
+
+// ======================= ADMIN-ONLY: Dispatch =======================
+
+// Assign a ready order to the nearest available rider
+router.post('/admin/assign/:orderId', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const filter = mongoose.isValidObjectId(orderId) ?
+      { $or: [{ _id: orderId }, { orderId }] } :
+      { orderId };
+
+    const order = await Order.findOne(filter);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    if (order.fulfillmentType === 'pickup') {
+      return res.status(400).json({ success: false, message: 'Pickup orders are collected by the customer' });
+    }
+    if (order.status !== 'ready' || order.rider) {
+      return res.status(400).json({ success: false, message: 'Only ready, unassigned orders can be dispatched' });
+    }
+
+    const rider = await assignNearestRider(order);
+    if (!rider) {
+      return res.status(404).json({ success: false, message: 'No available rider near this shop' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rider assigned',
+      order: { _id: order._id, orderId: order.orderId, rider: rider._id, riderAssignedAt: order.riderAssignedAt },
+      rider: { _id: rider._id, name: rider.name, phone: rider.phone }
+    });
+  } catch (error) {
+    console.error('Assign rider error:', error);
+    res.status(500).json({ success: false, message: 'Error assigning rider' });
+  }
+});
+
+// ======================= ADMIN-ONLY: Payouts and reports =======================
+
+// Delivered earnings per rider that are not part of any payout yet
+router.get('/admin/earnings/unbatched', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const riders = await Order.aggregate([
+      { $match: { status: 'delivered', rider: { $ne: null }, 'riderEarning.payout': null } },
+      { $group: { _id: '$rider', ...deliveryStatsGroup } },
+      { $sort: { earnings: -1 } },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'rider' } },
+      { $unwind: '$rider' },
+      { $project: { 'rider.password': 0, 'rider.riderStatus': 0 } }
+    ]);
+
+    res.json({
+      success: true,
+      riders: riders.map(({ rider, ...stats }) => ({
+        rider: { _id: rider._id, name: rider.name, phone: rider.phone, email: rider.email },
+        ...roundStats(stats)
+      }))
+    });
+  } catch (error) {
+    console.error('Get unbatched earnings error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching earnings' });
+  }
+});
+
+// Create a payout covering a rider's delivered orders that were not paid out yet
+router.post('/admin/payouts', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const { riderId, until, notes } = req.body;
+
+    if (!mongoose.isValidObjectId(riderId)) {
+      return res.status(400).json({ success: false, message: 'Valid riderId is required' });
+    }
+
+    const periodEnd = until ? new Date(until) : new Date();
+    if (isNaN(periodEnd)) {
+      return res.status(400).json({ success: false, message: 'Invalid until date' });
+    }
+
+    // Claim the orders for this payout first, so two concurrent payouts never count the same delivery
+    const payoutId = new mongoose.Types.ObjectId();
+    const claimed = await Order.updateMany(
+      {
+        rider: riderId,
+        status: 'delivered',
+        'riderEarning.payout': null,
+        actualDeliveryTime: { $lte: periodEnd }
+      },
+      { $set: { 'riderEarning.payout': payoutId } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+      return res.status(400).json({ success: false, message: 'No unpaid deliveries for this rider' });
+    }
+
+    const orders = await Order.find({ 'riderEarning.payout': payoutId }).select('riderEarning actualDeliveryTime');
+
+    const payout = new RiderPayout({
+      _id: payoutId,
+      rider: riderId,
+      orders: orders.map(order => order._id),
+      deliveries: orders.length,
+      distanceKm: Math.round(orders.reduce((sum, o) => sum + (o.riderEarning?.distanceKm || 0), 0) * 100) / 100,
+      amount: Math.round(orders.reduce((sum, o) => sum + (o.riderEarning?.amount || 0), 0) * 100) / 100,
+      periodStart: new Date(Math.min(...orders.map(o => o.actualDeliveryTime))),
+      periodEnd,
+      notes,
+      createdBy: req.user.id
+    });
+
+    try {
+      await payout.save();
+    } catch (error) {
+      // Release the claimed orders so they can go into the next payout
+      await Order.updateMany(
+        { 'riderEarning.payout': payoutId },
+        { $set: { 'riderEarning.payout': null } }
+      );
+      throw error;
+    }
+
+    res.status(201).json({ success: true, message: 'Payout created', payout });
+  } catch (error) {
+    console.error('Create payout error:', error);
+    res.status(500).json({ success: false, message: 'Error creating payout' });
+  }
+});
+
+// Payout ledger
+router.get('/admin/payouts', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const { status, riderId, page = 1, limit = 20 } = req.query;
+
+    if (riderId && !mongoose.isValidObjectId(riderId)) {
+      return res.status(400).json({ success: false, message: 'Invalid riderId' });
+    }
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (riderId) filter.rider = riderId;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [payouts, total, totals] = await Promise.all([
+      RiderPayout.find(filter)
+        .select('-orders')
+        .populate('rider', 'name phone email')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      RiderPayout.countDocuments(filter),
+      RiderPayout.aggregate([
+        { $group: { _id: '$status', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      payouts,
+      totals: totals.reduce((acc, t) => {
+        acc[t._id] = { amount: t.amount, count: t.count };
+        return acc;
+      }, { settled: { amount: 0, count: 0 }, unsettled: { amount: 0, count: 0 } }),
+      pagination: {
+        current: pageNum,
+        pages: Math.ceil(total / limitNum),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching payouts' });
+  }
+});
+
+// Export the payout ledger as CSV
+router.get('/admin/payouts/export', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const range = parseDateRange(req.query);
+    if (!range) {
+      return res.status(400).json({ success: false, message: 'from and to must be valid dates' });
+    }
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (range.from || range.to) {
+      filter.createdAt = {};
+      if (range.from) filter.createdAt.$gte = range.from;
+      if (range.to) filter.createdAt.$lte = range.to;
+    }
+
+    const payouts = await RiderPayout.find(filter)
+      .populate('rider', 'name phone email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const header = ['payoutId', 'riderName', 'riderPhone', 'riderEmail', 'deliveries', 'distanceKm',
+      'amount', 'status', 'periodStart', 'periodEnd', 'reference', 'createdAt', 'settledAt'];
+    const rows = payouts.map(p => [
+      p._id, p.rider?.name, p.rider?.phone, p.rider?.email, p.deliveries, p.distanceKm,
+      p.amount, p.status, p.periodStart?.toISOString(), p.periodEnd?.toISOString(),
+      p.reference, p.createdAt?.toISOString(), p.settledAt?.toISOString()
+    ]);
+
+    const csv = [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n');
+
+    res.set({
+      'Content-Type': 'text/csv',
+      'Content-Disposition': `attachment; filename="rider-payouts-${new Date().toISOString().slice(0, 10)}.csv"`
+    });
+    res.send(csv);
+  } catch (error) {
+    console.error('Export payouts error:', error);
+    res.status(500).json({ success: false, message: 'Error exporting payouts' });
+  }
+});
+
+// Mark a payout as settled once the money has been sent
+router.patch('/admin/payouts/:id/settle', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const { reference, notes } = req.body;
+
+    if (!reference || !reference.trim()) {
+      return res.status(400).json({ success: false, message: 'Payment reference is required' });
+    }
+
+    const payout = await RiderPayout.findOneAndUpdate(
+      { _id: req.params.id, status: 'unsettled' },
+      {
+        status: 'settled',
+        reference: reference.trim(),
+        ...(notes && { notes }),
+        settledAt: new Date(),
+        settledBy: req.user.id
+      },
+      { new: true }
+    );
+
+    if (!payout) {
+      return res.status(404).json({ success: false, message: 'Unsettled payout not found' });
+    }
+
+    res.json({ success: true, message: 'Payout settled', payout });
+  } catch (error) {
+    console.error('Settle payout error:', error);
+    res.status(500).json({ success: false, message: 'Error settling payout' });
+  }
+});
+
+// Delivery performance per rider
+router.get('/admin/performance', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+    if (!range) {
+      return res.status(400).json({ success: false, message: 'from and to must be valid dates' });
+    }
+
+    const match = { status: 'delivered', rider: { $ne: null } };
+    match.actualDeliveryTime = { $gte: range.from || new Date(Date.now() - 30 * DAY_MS) };
+    if (range.to) match.actualDeliveryTime.$lte = range.to;
+
+    const riders = await Order.aggregate([
+      { $match: match },
+      { $group: { _id: '$rider', ...deliveryStatsGroup } },
+      { $sort: { deliveries: -1 } },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'rider' } },
+      { $unwind: '$rider' }
+    ]);
+
+    res.json({
+      success: true,
+      period: { from: match.actualDeliveryTime.$gte, to: match.actualDeliveryTime.$lte || new Date() },
+      riders: riders.map(({ rider, ...stats }) => ({
+        rider: { _id: rider._id, name: rider.name, phone: rider.phone },
+        ...roundStats(stats)
+      }))
+    });
+  } catch (error) {
+    console.error('Get rider performance error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching performance report' });
+  }
+});
+
+export default router;
@@ -1,12 +1,21 @@
 import express from 'express';
 import jwt from 'jsonwebtoken';
 import multer from 'multer';
-import Shop from '../models/shop.js';
+import Shop, { DEFAULT_DELIVERY_RADIUS_KM } from '../models/shop.js';
 import Food from '../models/Food.js';
 import Order from '../models/Order.js';
 import Review from '../models/Review.js';
+import Combo from '../models/Combo.js';
+import { OPEN_ORDER_STATUSES } from '../utils/orderLifecycle.js';
+import { PREPAID_METHODS } from '../utils/payments.js';
+import { getActiveOfferScope } from '../utils/coupons.js';
+import { getAvailableSlots } from '../utils/scheduling.js';
+import { getDeliveryCoordinates } from '../utils/pricing.js';
 const router = express.Router();
 
+// Default search radius when listing shops for pickup, where delivery zones don't apply
+const PICKUP_SEARCH_RADIUS_KM = 10;
+
 // Multer configuration for image uploads
 const upload = multer({
     limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
@@ -98,12 +107,13 @@ router.get('/', async (req, res) => {
             search,
             latitude,
             longitude,
-            maxDistance = 10, // in kilometers
+            maxDistance, // in kilometers; defaults to as far as any shop delivers
             sortBy = 'rating.average',
             sortOrder = 'desc',
             featured,
             isOpen,
             deliveryAvailable,
+            pickupAvailable,
             minDeliveryTime,
             maxDeliveryTime,
             priceRange, // low, medium, high
@@ -141,48 +151,100 @@ router.get('/', async (req, res) => {
             filter.deliveryAvailable = true;
         }
 
+        // Pickup / takeaway
+        if (pickupAvailable === 'true') {
+            filter.pickupAvailable = true;
+        }
+
+        // Shops with at least one redeemable coupon. A platform-wide coupon covers every shop.
+        if (offers === 'true') {
+            const offerScope = await getActiveOfferScope();
+            if (!offerScope.platformWide) {
+                filter.$or = [
+                    { _id: { $in: offerScope.shopIds } },
+                    { cuisine: { $in: offerScope.cuisines } }
+                ];
+            }
+        }
+
         // Text search
         if (search) {
             filter.$text = { $search: search };
         }
 
-        let query = Shop.find(filter);
+        const pageNum = parseInt(page);
+        const limitNum = parseInt(limit);
+        const skip = (pageNum - 1) * limitNum;
+        let shops;
+        let total;
 
-        // Location-based filtering
+        // Location-based filtering, nearest first
         if (latitude && longitude) {
-            const maxDistanceMeters = parseFloat(maxDistance) * 1000;
-            query = Shop.find({
-                ...filter,
-                location: {
-                    $near: {
-                        $geometry: {
-                            type: 'Point',
-                            coordinates: [parseFloat(longitude), parseFloat(latitude)]
-                        },
-                        $maxDistance: maxDistanceMeters
+            const lat = parseFloat(latitude);
+            const lng = parseFloat(longitude);
+            // Only shops whose delivery zone covers the customer, unless they are looking for pickup.
+            // Matched before paging, so pages stay full and the total only counts those shops.
+            const deliveryOnly = pickupAvailable !== 'true';
+            let maxDistanceMeters = PICKUP_SEARCH_RADIUS_KM * 1000;
+            if (maxDistance) {
+                maxDistanceMeters = parseFloat(maxDistance) * 1000;
+            } else if (deliveryOnly) {
+                maxDistanceMeters = await Shop.maxDeliveryReach();
+            }
+
+            const [result] = await Shop.aggregate([
+                {
+                    $geoNear: {
+                        near: { type: 'Point', coordinates: [lng, lat] },
+                        distanceField: 'distance',
+                        maxDistance: maxDistanceMeters,
+                        spherical: true,
+                        query: filter
+                    }
+                },
+                ...(deliveryOnly ? [Shop.deliveryZoneMatch(lng, lat)] : []),
+                {
+                    $facet: {
+                        shops: [
+                            { $skip: skip },
+                            { $limit: limitNum },
+                            {
+                                $lookup: {
+                                    from: 'users',
+                                    let: { ownerId: '$owner' },
+                                    pipeline: [
+                                        { $match: { $expr: { $eq: ['$_id', '$$ownerId'] } } },
+                                        { $project: { name: 1, email: 1, phone: 1 } }
+                                    ],
+                                    as: 'owner'
+                                }
+                            },
+                            { $unwind: { path: '$owner', preserveNullAndEmptyArrays: true } }
+                        ],
+                        total: [{ $count: 'count' }]
                     }
                 }
-            });
-        }
-
-        // Sorting (location queries are pre-sorted by distance)
-        if (!latitude || !longitude) {
+            ]);
+            shops = result.shops;
+            total = result.total[0]?.count || 0;
+        } else {
             const sort = {};
             if (search) {
                 sort.score = { $meta: 'textScore' };
             } else {
                 sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
             }
-            query = query.sort(sort);
-        }
 
-        // Pagination
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-        const shops = await query
-            .skip(skip)
-            .limit(parseInt(limit))
-            .populate('owner', 'name email phone')
-            .lean();
+            [shops, total] = await Promise.all([
+                Shop.find(filter)
+                    .sort(sort)
+                    .skip(skip)
+                    .limit(limitNum)
+                    .populate('owner', 'name email phone')
+                    .lean(),
+                Shop.countDocuments(filter)
+            ]);
+        }
 
         // Enhance shop data with delivery info
         const shopsWithDetails = await Promise.all(shops.map(async (shop) => {
@@ -191,6 +253,7 @@ router.get('/', async (req, res) => {
                 const shopModel = new Shop(shop);
                 shop.distance = shopModel.calculateDistance(parseFloat(latitude), parseFloat(longitude));
                 shop.estimatedDeliveryTime = Math.max(20, Math.min(60, Math.round(shop.distance * 3) + 15));
+                shop.deliversHere = shopModel.deliversTo(parseFloat(latitude), parseFloat(longitude)).serviceable;
             }
 
             // Add current open status
@@ -206,14 +269,13 @@ router.get('/', async (req, res) => {
             // Get recent reviews count
             shop.recentReviewsCount = await Review.countDocuments({
                 shopId: shop._id,
+                status: { $ne: 'hidden' },
                 createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
             });
 
             // Calculate delivery charge based on distance
             if (shop.distance) {
-                shop.calculatedDeliveryCharge = shop.distance > 5 ? 
-                    shop.deliveryCharge + Math.round(shop.distance - 5) * 2 : 
-                    shop.deliveryCharge;
+                shop.calculatedDeliveryCharge = shopModel.calculateDeliveryCharge(shop.distance);
             }
 
             return shop;
@@ -234,20 +296,18 @@ router.get('/', async (req, res) => {
             );
         }
 
-        // Get total count for pagination
-        const total = await Shop.countDocuments(filter);
-        const totalPages = Math.ceil(total / parseInt(limit));
+        const totalPages = Math.ceil(total / limitNum);
 
         res.json({
             success: true,
             shops: filteredShops,
             pagination: {
-                currentPage: parseInt(page),
+                currentPage: pageNum,
                 totalPages,
                 totalItems: total,
-                itemsPerPage: parseInt(limit),
-                hasNext: parseInt(page) < totalPages,
-                hasPrev: parseInt(page) > 1
+                itemsPerPage: limitNum,
+                hasNext: pageNum < totalPages,
+                hasPrev: pageNum > 1
             },
             filters: {
                 appliedFilters: {
@@ -257,7 +317,9 @@ router.get('/', async (req, res) => {
                     featured,
                     isOpen,
                     deliveryAvailable,
-                    fastDelivery
+                    pickupAvailable,
+                    fastDelivery,
+                    offers
                 }
             }
         });
@@ -328,8 +390,15 @@ router.get('/:id', async (req, res) => {
             }
         ]);
 
-        // Get recent reviews
-        const reviews = await Review.find({ shopId: id })
+        // Combo meals with their dishes and swap choices
+        const combos = await Combo.find({ shop: shop._id, isAvailable: true })
+            .populate('components.food', 'name price image veg menu_category instock')
+            .populate('components.swapOptions', 'name price image veg menu_category instock')
+            .sort({ price: 1 })
+            .lean();
+
+        // Get recent reviews (hidden ones were removed by moderators)
+        const reviews = await Review.find({ shopId: id, status: { $ne: 'hidden' } })
             .populate('userId', 'name')
             .sort({ createdAt: -1 })
             .limit(10)
@@ -359,9 +428,8 @@ router.get('/:id', async (req, res) => {
             const shopModel = new Shop(shop);
             shop.distance = shopModel.calculateDistance(parseFloat(latitude), parseFloat(longitude));
             shop.estimatedDeliveryTime = Math.max(20, Math.min(60, Math.round(shop.distance * 3) + 15));
-            shop.calculatedDeliveryCharge = shop.distance > 5 ? 
-                shop.deliveryCharge + Math.round(shop.distance - 5) * 2 : 
-                shop.deliveryCharge;
+            shop.calculatedDeliveryCharge = shopModel.calculateDeliveryCharge(shop.distance);
+            shop.deliversHere = shopModel.deliversTo(parseFloat(latitude), parseFloat(longitude)).serviceable;
         }
 
         // Add current status
@@ -410,6 +478,7 @@ router.get('/:id', async (req, res) => {
             success: true,
             shop,
             menu,
+            combos,
             reviews,
             popularItems,
             stats: stats[0] || { totalOrders: 0, avgDeliveryTime: 0, totalRevenue: 0 },
@@ -417,8 +486,15 @@ router.get('/:id', async (req, res) => {
                 available: shop.deliveryAvailable,
                 charge: shop.calculatedDeliveryCharge || shop.deliveryCharge,
                 minOrderValue: shop.minOrderValue,
+                radius: shop.deliveryZone?.type ? null : shop.deliveryRadius ?? DEFAULT_DELIVERY_RADIUS_KM,
+                zone: shop.deliveryZone?.type ? shop.deliveryZone : null,
+                deliversHere: shop.deliversHere,
                 estimatedTime: shop.estimatedDeliveryTime,
                 distance: shop.distance
+            },
+            pickupInfo: {
+                available: shop.pickupAvailable,
+                address: shop.address
             }
         });
     } catch (error) {
@@ -467,6 +543,9 @@ router.post('/create', authenticateToken, upload.fields([
         if (typeof shopData.menuCategory === 'string') {
             shopData.menuCategory = JSON.parse(shopData.menuCategory);
         }
+        if (typeof shopData.deliveryZone === 'string') {
+            shopData.deliveryZone = JSON.parse(shopData.deliveryZone);
+        }
 
         // Validate input
         const validationErrors = validateShopData(shopData);
@@ -504,6 +583,7 @@ router.post('/create', authenticateToken, upload.fields([
             isVerified: false, // Admin needs to verify
             online: true,
             deliveryAvailable: shopData.deliveryAvailable ?? true,
+            pickupAvailable: shopData.pickupAvailable ?? false,
             minOrderValue: shopData.minOrderValue || 100,
             deliveryCharge: shopData.deliveryCharge || 25,
             tax: shopData.tax || 5
@@ -696,7 +776,7 @@ router.post('/search', async (req, res) => {
             query,
             latitude,
             longitude,
-            maxDistance = 10,
+            maxDistance, // in kilometers; defaults to as far as any shop delivers
             limit = 20,
             filters = {}
         } = req.body;
@@ -717,7 +797,7 @@ router.post('/search', async (req, res) => {
                         coordinates: [parseFloat(longitude), parseFloat(latitude)]
                     },
                     distanceField: 'distance',
-                    maxDistance: maxDistance * 1000,
+                    maxDistance: maxDistance ? maxDistance * 1000 : await Shop.maxDeliveryReach(),
                     spherical: true,
                     query: {
                         isActive: true,
@@ -725,7 +805,8 @@ router.post('/search', async (req, res) => {
                         ...(filters.deliveryAvailable && { deliveryAvailable: true })
                     }
                 }
-            }
+            },
+            Shop.deliveryZoneMatch(parseFloat(longitude), parseFloat(latitude))
         ];
 
         // Add text search if query provided
@@ -837,7 +918,7 @@ router.get('/recommendations/:userId', authenticateToken, async (req, res) => {
                         coordinates: [parseFloat(longitude), parseFloat(latitude)]
                     },
                     distanceField: 'distance',
-                    maxDistance: 10000, // 10km
+                    maxDistance: await Shop.maxDeliveryReach(),
                     spherical: true,
                     query: {
                         isActive: true,
@@ -847,6 +928,7 @@ router.get('/recommendations/:userId', authenticateToken, async (req, res) => {
                     }
                 }
             },
+            Shop.deliveryZoneMatch(parseFloat(longitude), parseFloat(latitude)),
             {
                 $addFields: {
                     matchScore: {
@@ -1090,7 +1172,7 @@ router.put('/update/:id', authenticateToken, upload.fields([
         }
 
         // Parse JSON fields if they're strings
-        ['address', 'location', 'cuisine', 'menuCategory'].forEach(field => {
+        ['address', 'location', 'cuisine', 'menuCategory', 'deliveryZone'].forEach(field => {
             if (updateData[field] && typeof updateData[field] === 'string') {
                 try {
                     updateData[field] = JSON.parse(updateData[field]);
@@ -1165,7 +1247,7 @@ router.delete('/delete/:id', authenticateToken, async (req, res) => {
         // Check for pending orders
         const pendingOrders = await Order.countDocuments({
             shopId: id,
-            status: { $in: ['pending', 'confirmed', 'preparing', 'out_for_delivery'] }
+            status: { $in: ['scheduled', 'pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery'] }
         });
 
         if (pendingOrders > 0) {
@@ -1283,7 +1365,7 @@ router.get('/trending', async (req, res) => {
                         coordinates: [parseFloat(longitude), parseFloat(latitude)]
                     },
                     distanceField: 'distance',
-                    maxDistance: 15000, // 15km
+                    maxDistance: await Shop.maxDeliveryReach(),
                     spherical: true,
                     query: {
                         isActive: true,
@@ -1292,6 +1374,7 @@ router.get('/trending', async (req, res) => {
                     }
                 }
             },
+            Shop.deliveryZoneMatch(parseFloat(longitude), parseFloat(latitude)),
             {
                 $lookup: {
                     from: 'orders',
@@ -1390,7 +1473,7 @@ router.get('/cuisine/:cuisine', async (req, res) => {
         const { 
             latitude, 
             longitude, 
-            maxDistance = 15,
+            maxDistance, // in kilometers; defaults to as far as any shop delivers
             page = 1,
             limit = 20,
             sortBy = 'rating.average',
@@ -1404,7 +1487,10 @@ router.get('/cuisine/:cuisine', async (req, res) => {
             });
         }
 
-        const shops = await Shop.aggregate([
+        const maxDistanceMeters = maxDistance ? parseFloat(maxDistance) * 1000 : await Shop.maxDeliveryReach();
+
+        // Counted in the same pipeline, after the delivery zone match, so the total matches the listed shops
+        const [result] = await Shop.aggregate([
             {
                 $geoNear: {
                     near: {
@@ -1412,7 +1498,7 @@ router.get('/cuisine/:cuisine', async (req, res) => {
                         coordinates: [parseFloat(longitude), parseFloat(latitude)]
                     },
                     distanceField: 'distance',
-                    maxDistance: parseFloat(maxDistance) * 1000,
+                    maxDistance: maxDistanceMeters,
                     spherical: true,
                     query: {
                         isActive: true,
@@ -1421,50 +1507,44 @@ router.get('/cuisine/:cuisine', async (req, res) => {
                     }
                 }
             },
+            Shop.deliveryZoneMatch(parseFloat(longitude), parseFloat(latitude)),
             {
-                $sort: {
-                    [sortBy]: sortOrder === 'asc' ? 1 : -1,
-                    distance: 1
-                }
-            },
-            {
-                $skip: (parseInt(page) - 1) * parseInt(limit)
-            },
-            {
-                $limit: parseInt(limit)
-            },
-            {
-                $lookup: {
-                    from: 'users',
-                    localField: 'owner',
-                    foreignField: '_id',
-                    as: 'owner'
+                $facet: {
+                    shops: [
+                        {
+                            $sort: {
+                                [sortBy]: sortOrder === 'asc' ? 1 : -1,
+                                distance: 1
+                            }
+                        },
+                        {
+                            $skip: (parseInt(page) - 1) * parseInt(limit)
+                        },
+                        {
+                            $limit: parseInt(limit)
+                        },
+                        {
+                            $lookup: {
+                                from: 'users',
+                                localField: 'owner',
+                                foreignField: '_id',
+                                as: 'owner'
+                            }
+                        }
+                    ],
+                    total: [{ $count: 'count' }]
                 }
             }
         ]);
 
-        const enhancedShops = shops.map(shop => ({
+        const enhancedShops = result.shops.map(shop => ({
             ...shop,
             distance: Math.round(shop.distance / 1000 * 100) / 100,
             estimatedDeliveryTime: Math.max(20, Math.min(60, Math.round(shop.distance / 1000 * 3) + 15)),
             isCurrentlyOpen: new Shop(shop).isCurrentlyOpen
         }));
 
-        // Get total count for pagination
-        const totalCount = await Shop.countDocuments({
-            isActive: true,
-            isVerified: true,
-            cuisine: { $regex: new RegExp(cuisine, 'i') },
-            location: {
-                $near: {
-                    $geometry: {
-                        type: 'Point',
-                        coordinates: [parseFloat(longitude), parseFloat(latitude)]
-                    },
-                    $maxDistance: parseFloat(maxDistance) * 1000
-                }
-            }
-        });
+        const totalCount = result.total[0]?.count || 0;
 
         res.json({
             success: true,
@@ -1486,6 +1566,200 @@ router.get('/cuisine/:cuisine', async (req, res) => {
     }
 });
 
+// Does the shop deliver to ?lat=&lng= (also accepts latitude/longitude)
+router.get('/:id/serviceability', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid shop ID format'
+            });
+        }
+
+        const coordinates = getDeliveryCoordinates(req.query);
+        if (!coordinates) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid lat and lng query parameters are required'
+            });
+        }
+
+        const shop = await Shop.findById(id)
+            .select('name isActive location deliveryAvailable deliveryRadius deliveryZone deliveryCharge pickupAvailable');
+        if (!shop || !shop.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shop not found'
+            });
+        }
+
+        const { serviceable, distance, zone, radius } = shop.deliversTo(coordinates.latitude, coordinates.longitude);
+
+        res.json({
+            success: true,
+            shop: {
+                _id: shop._id,
+                name: shop.name
+            },
+            serviceable,
+            distance,
+            zone,
+            deliveryRadius: radius,
+            deliveryCharge: serviceable && distance !== null ? shop.calculateDeliveryCharge(distance) : null,
+            pickupAvailable: shop.pickupAvailable,
+            message: serviceable ?
+                `${shop.name} delivers to this location` :
+                `${shop.name} does not deliver to this location`
+        });
+    } catch (error) {
+        console.error('Shop serviceability error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while checking delivery area'
+        });
+    }
+});
+
+// Get a shop's delivery slots for one day with remaining capacity (for scheduled orders)
+router.get('/:id/slots', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { date } = req.query;
+
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid shop ID format'
+            });
+        }
+
+        // Default to today; dates are read as server local days like the shop's opening hours
+        const day = date ? new Date(`${date}T00:00:00`) : new Date();
+        if (isNaN(day)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date. Use YYYY-MM-DD'
+            });
+        }
+
+        const shop = await Shop.findById(id).select('name isActive openTime closeTime scheduling');
+        if (!shop || !shop.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shop not found'
+            });
+        }
+
+        const slots = await getAvailableSlots(shop, day);
+
+        res.json({
+            success: true,
+            shop: {
+                _id: shop._id,
+                name: shop.name,
+                schedulingEnabled: shop.scheduling?.enabled !== false
+            },
+            date: date || day.toISOString().slice(0, 10),
+            slots
+        });
+    } catch (error) {
+        console.error('Get shop slots error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching delivery slots'
+        });
+    }
+});
+
+// Get the shop's live order queue grouped by status (for owners)
+router.get('/:id/orders', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid shop ID format'
+            });
+        }
+
+        const shop = await Shop.findById(id);
+        if (!shop) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shop not found'
+            });
+        }
+
+        // Check ownership
+        const isOwner = shop.owner.toString() === req.user.id;
+        if (!isOwner && !req.user.isAdmin) {
+            return res.status(403).json({
+                success: false,
+                message: 'Unauthorized access'
+            });
+        }
+
+        // Oldest first so the kitchen works through orders in sequence.
+        // Prepaid orders stay hidden until their payment is confirmed.
+        const orders = await Order.find({
+            shopId: shop._id,
+            status: { $in: OPEN_ORDER_STATUSES },
+            $or: [
+                { paymentMethod: { $nin: PREPAID_METHODS } },
+                { paymentStatus: 'completed' }
+            ]
+        })
+            .select('orderId userId items totalAmount grandTotal status fulfillmentType paymentMethod paymentStatus phoneNumber orderNotes preparationTime estimatedReadyTime estimatedDeliveryTime readyAt createdAt')
+            .populate('userId', 'name phone')
+            .sort({ createdAt: 1 })
+            .lean();
+
+        // Scheduled orders that haven't been released to the queue yet, soonest slot first
+        const upcoming = await Order.find({
+            shopId: shop._id,
+            status: 'scheduled',
+            $or: [
+                { paymentMethod: { $nin: PREPAID_METHODS } },
+                { paymentStatus: 'completed' }
+            ]
+        })
+            .select('orderId userId items grandTotal fulfillmentType paymentMethod paymentStatus orderNotes scheduledFor releaseAt createdAt')
+            .populate('userId', 'name phone')
+            .sort({ scheduledFor: 1 })
+            .lean();
+
+        const queue = OPEN_ORDER_STATUSES.reduce((acc, status) => {
+            acc[status] = [];
+            return acc;
+        }, {});
+        orders.forEach(order => queue[order.status].push(order));
+
+        res.json({
+            success: true,
+            shop: {
+                _id: shop._id,
+                name: shop.name,
+                isOnline: shop.online
+            },
+            queue,
+            counts: Object.fromEntries(
+                Object.entries(queue).map(([status, list]) => [status, list.length])
+            ),
+            totalOpenOrders: orders.length,
+            upcoming
+        });
+    } catch (error) {
+        console.error('Get shop order queue error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching order queue'
+        });
+    }
+});
+
 // Get shop dashboard summary (for owners)
 router.get('/:id/dashboard', authenticateToken, async (req, res) => {
     try {
@@ -0,0 +1,229 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Wallet from '../models/Wallet.js';
+import WalletTransaction from '../models/WalletTransaction.js';
+import { verifyAccessToken as authenticateToken, verifyAdmin } from '../routes/auth.js';
+import {
+  getOrCreateWallet,
+  creditWallet,
+  startWalletTopup,
+  confirmWalletTopup,
+  WalletError,
+  MIN_TOPUP_AMOUNT,
+  MAX_TOPUP_AMOUNT
+} from '../utils/wallet.js';
+
+const router = express.Router();
+
+const sendWalletError = (res, error, label, message) => {
+  if (error instanceof WalletError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label}:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// Current balance with the latest ledger entries
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const wallet = await getOrCreateWallet(req.user.id);
+    const recentTransactions = await WalletTransaction.find({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    res.json({
+      success: true,
+      wallet: {
+        balance: wallet.balance,
+        currency: wallet.currency,
+        updatedAt: wallet.updatedAt
+      },
+      recentTransactions
+    });
+  } catch (error) {
+    sendWalletError(res, error, 'Get wallet error', 'Server error while fetching wallet');
+  }
+});
+
+// Full ledger, newest first. Optional ?type=credit|debit and ?source= filters.
+router.get('/transactions', authenticateToken, async (req, res) => {
+  try {
+    const { type, source, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const filter = { user: req.user.id };
+    if (type) filter.type = type;
+    if (source) filter.source = source;
+
+    const [transactions, total] = await Promise.all([
+      WalletTransaction.find(filter)
+        .populate('order', 'orderId grandTotal status')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      WalletTransaction.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      transactions,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    sendWalletError(res, error, 'Wallet transactions error', 'Server error while fetching wallet transactions');
+  }
+});
+
+// Start a top-up through the payment provider
+router.post('/topup', authenticateToken, async (req, res) => {
+  try {
+    const amount = parseFloat(req.body.amount);
+    if (!amount || amount < MIN_TOPUP_AMOUNT || amount > MAX_TOPUP_AMOUNT) {
+      return res.status(400).json({
+        success: false,
+        message: `Top-up amount must be between ${MIN_TOPUP_AMOUNT} and ${MAX_TOPUP_AMOUNT}`
+      });
+    }
+
+    const { transaction, payment } = await startWalletTopup(req.user.id, amount);
+
+    res.status(201).json({
+      success: true,
+      message: 'Top-up started. Confirm the payment to add money to your wallet.',
+      transaction,
+      payment
+    });
+  } catch (error) {
+    sendWalletError(res, error, 'Wallet top-up error', 'Server error while starting top-up');
+  }
+});
+
+// Confirm a top-up payment. Gateways with client-side SDKs report the result via webhook instead.
+router.post('/topup/:intentId/confirm', authenticateToken, async (req, res) => {
+  try {
+    const { transaction, failureReason } = await confirmWalletTopup(
+      req.user.id,
+      req.params.intentId,
+      req.body.paymentDetails
+    );
+
+    if (transaction.status !== 'completed') {
+      return res.status(402).json({
+        success: false,
+        message: failureReason || 'Top-up payment failed',
+        transaction
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Money added to your wallet',
+      balance: transaction.balanceAfter,
+      transaction
+    });
+  } catch (error) {
+    sendWalletError(res, error, 'Confirm top-up error', 'Server error while confirming top-up');
+  }
+});
+
+// Admin: goodwill credit, e.g. to make up for a late or wrong order
+router.post('/admin/:userId/credit', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const amount = parseFloat(req.body.amount);
+    const reason = req.body.reason?.trim();
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (!amount || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A positive amount is required'
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for goodwill credits'
+      });
+    }
+
+    const user = await User.exists({ _id: userId });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { wallet, transaction } = await creditWallet(userId, amount, {
+      source: 'goodwill',
+      reason,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Wallet credited',
+      balance: wallet.balance,
+      transaction
+    });
+  } catch (error) {
+    sendWalletError(res, error, 'Goodwill credit error', 'Server error while crediting wallet');
+  }
+});
+
+// Admin: any user's balance and ledger
+router.get('/admin/:userId', authenticateToken, verifyAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const wallet = await Wallet.findOne({ user: userId });
+    if (!wallet) {
+      return res.status(404).json({
+        success: false,
+        message: 'This user has no wallet yet'
+      });
+    }
+
+    const transactions = await WalletTransaction.find({ user: userId })
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      wallet,
+      transactions
+    });
+  } catch (error) {
+    sendWalletError(res, error, 'Admin get wallet error', 'Server error while fetching wallet');
+  }
+});
+
+export default router;
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+
+// Most addresses a customer can keep in their address book
+export const MAX_SAVED_ADDRESSES = 10;
+
+// The address with `addressId`, or the default one when no ID is given. Null if there is none.
+export const findSavedAddress = async (userId, addressId) => {
+  if (addressId && !mongoose.isValidObjectId(addressId)) {
+    return null;
+  }
+
+  const user = await User.findById(userId).select('addresses');
+  if (!user) return null;
+
+  if (addressId) {
+    return user.addresses.id(addressId);
+  }
+  return user.addresses.find(address => address.isDefault) || null;
+};
+
+// Shape a saved address like the free-form checkout deliveryAddress (with latitude/longitude)
+export const toDeliveryAddress = (address) => {
+  const [longitude, latitude] = address.location.coordinates;
+  return {
+    street: address.street,
+    city: address.city,
+    state: address.state,
+    pincode: address.pincode,
+    landmark: address.landmark,
+    latitude,
+    longitude
+  };
+};
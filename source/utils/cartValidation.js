@@ -0,0 +1,164 @@
+import Food from '../models/Food.js';
+import Shop from '../models/shop.js';
+import Combo from '../models/Combo.js';
+import { resolveFoodOptions, FoodOptionError } from './foodOptions.js';
+
+// Combo lines: the combo must still be sold and every dish in it in stock
+const revalidateComboLine = (item, combosById, foodsById) => {
+  const comboId = (item.combo._id || item.combo).toString();
+  const combo = combosById.get(comboId);
+  const problems = [];
+
+  if (!combo || !combo.isAvailable) {
+    return [{
+      type: 'item_removed',
+      comboId,
+      message: 'A combo in your cart is no longer available and was removed'
+    }];
+  }
+
+  for (const component of item.comboItems) {
+    const food = foodsById.get(component.food.toString());
+    if (!food || !food.instock) {
+      problems.push({
+        type: 'out_of_stock',
+        comboId,
+        foodId: component.food,
+        foodName: food?.name || component.foodName,
+        message: `${food?.name || component.foodName} in ${combo.name} is not available`
+      });
+    } else {
+      component.menuPrice = food.price;
+    }
+  }
+
+  if (combo.price !== item.price) {
+    problems.push({
+      type: 'price_changed',
+      comboId,
+      comboName: combo.name,
+      oldPrice: item.price,
+      newPrice: combo.price,
+      message: `The price of ${combo.name} changed from ${item.price} to ${combo.price}`
+    });
+    item.price = combo.price;
+    item.subtotal = combo.price * item.quantity;
+  }
+
+  return problems;
+};
+
+/**
+ * Re-check every cart line against the current menu and shop state.
+ * Prices are refreshed and deleted dishes are dropped from the cart (not saved here);
+ * everything that changed or blocks checkout is returned as a problem.
+ * Pass `scheduled: true` for orders placed for a later slot, which a shop may take while closed.
+ */
+export const revalidateCart = async (cart, { scheduled = false } = {}) => {
+  const foodIds = cart.items.flatMap(item => (item.combo ?
+    item.comboItems.map(component => component.food) :
+    [item.food?._id || item.food]));
+  const comboIds = cart.items.filter(item => item.combo).map(item => item.combo._id || item.combo);
+  const shopIds = [...new Set(cart.items.map(item => (item.shop?._id || item.shop).toString()))];
+
+  const [foods, combos, shops] = await Promise.all([
+    Food.find({ _id: { $in: foodIds } }).select('name price instock optionGroups'),
+    Combo.find({ _id: { $in: comboIds } }).select('name price isAvailable'),
+    Shop.find({ _id: { $in: shopIds } }).select('name online isActive openTime closeTime')
+  ]);
+  const foodsById = new Map(foods.map(food => [food._id.toString(), food]));
+  const combosById = new Map(combos.map(combo => [combo._id.toString(), combo]));
+  const shopsById = new Map(shops.map(shop => [shop._id.toString(), shop]));
+
+  const problems = [];
+
+  for (const shopId of shopIds) {
+    const shop = shopsById.get(shopId);
+    if (!shop || !shop.isActive || !shop.online) {
+      problems.push({
+        type: 'shop_unavailable',
+        shopId,
+        shopName: shop?.name,
+        message: `${shop?.name || 'This shop'} is not taking orders right now`
+      });
+    } else if (!scheduled && !shop.isCurrentlyOpen) {
+      problems.push({
+        type: 'shop_closed',
+        shopId,
+        shopName: shop.name,
+        opensAt: shop.openTime,
+        message: `${shop.name} is closed. It opens at ${shop.openTime}`
+      });
+    }
+  }
+
+  const keptItems = [];
+  for (const item of cart.items) {
+    if (item.combo) {
+      const comboProblems = revalidateComboLine(item, combosById, foodsById);
+      problems.push(...comboProblems);
+      if (!comboProblems.some(problem => problem.type === 'item_removed')) {
+        keptItems.push(item);
+      }
+      continue;
+    }
+
+    const foodId = (item.food?._id || item.food).toString();
+    const food = foodsById.get(foodId);
+
+    if (!food) {
+      problems.push({
+        type: 'item_removed',
+        foodId,
+        message: 'An item in your cart is no longer on the menu and was removed'
+      });
+      continue;
+    }
+
+    if (!food.instock) {
+      problems.push({
+        type: 'out_of_stock',
+        foodId,
+        foodName: food.name,
+        message: `${food.name} is out of stock`
+      });
+    }
+
+    // Options may have been removed or switched off; otherwise re-price them with the base price
+    let unitPrice;
+    try {
+      ({ unitPrice } = resolveFoodOptions(food, item.selectedOptions.map(option => option.optionId)));
+    } catch (error) {
+      if (!(error instanceof FoodOptionError)) throw error;
+      problems.push({
+        type: 'option_unavailable',
+        foodId,
+        foodName: food.name,
+        message: `${food.name}: ${error.message}. Please remove it and add it again.`
+      });
+      keptItems.push(item);
+      continue;
+    }
+
+    if (unitPrice !== item.price) {
+      problems.push({
+        type: 'price_changed',
+        foodId,
+        foodName: food.name,
+        oldPrice: item.price,
+        newPrice: unitPrice,
+        message: `The price of ${food.name} changed from ${item.price} to ${unitPrice}`
+      });
+      item.price = unitPrice;
+      item.subtotal = unitPrice * item.quantity;
+    }
+
+    keptItems.push(item);
+  }
+
+  if (keptItems.length !== cart.items.length) {
+    cart.items = keptItems;
+  }
+
+  return problems;
+};
@@ -0,0 +1,69 @@
+import Food from '../models/Food.js';
+import { HttpError } from './errors.js';
+import { roundMoney } from './money.js';
+
+export class ComboError extends HttpError {}
+
+/**
+ * Work out which foods a customer gets for a combo. `swaps` maps a component ID
+ * to one of that component's swapOptions. Returns the lines stored on the cart
+ * item and a key identifying the chosen swaps.
+ */
+export const resolveComboItems = async (combo, swaps = {}) => {
+  const foodIds = combo.components.flatMap(component => [component.food, ...component.swapOptions]);
+  const foods = await Food.find({ _id: { $in: foodIds } }).select('name price instock');
+  const foodsById = new Map(foods.map(food => [food._id.toString(), food]));
+
+  const comboItems = [];
+  const keyParts = [];
+
+  for (const component of combo.components) {
+    let foodId = component.food.toString();
+    const swapTo = swaps[component._id.toString()]?.toString();
+
+    if (swapTo && swapTo !== foodId) {
+      if (!component.swapOptions.some(id => id.toString() === swapTo)) {
+        throw new ComboError('That swap is not offered for this combo');
+      }
+      foodId = swapTo;
+      keyParts.push(`${component._id}:${swapTo}`);
+    }
+
+    const food = foodsById.get(foodId);
+    if (!food) {
+      throw new ComboError('An item in this combo is no longer on the menu');
+    }
+    if (!food.instock) {
+      throw new ComboError(`${food.name} is out of stock`);
+    }
+
+    comboItems.push({
+      food: food._id,
+      foodName: food.name,
+      quantity: component.quantity,
+      menuPrice: food.price
+    });
+  }
+
+  return { comboItems, comboKey: keyParts.sort().join(',') };
+};
+
+/**
+ * Share one combo's price across its components in proportion to their menu
+ * prices. Amounts are per combo and always add up to the bundle price.
+ */
+export const splitComboPrice = (bundlePrice, comboItems) => {
+  const menuTotal = comboItems.reduce((sum, item) => sum + item.menuPrice * item.quantity, 0);
+  let remaining = bundlePrice;
+
+  return comboItems.map((item, index) => {
+    if (index === comboItems.length - 1) {
+      return roundMoney(remaining);
+    }
+    const share = menuTotal > 0 ?
+      roundMoney(bundlePrice * item.menuPrice * item.quantity / menuTotal) :
+      roundMoney(bundlePrice / comboItems.length);
+    remaining -= share;
+    return share;
+  });
+};
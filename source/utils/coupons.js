@@ -0,0 +1,183 @@
+import Coupon from '../models/Coupon.js';
+import Order from '../models/Order.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { HttpError } from './errors.js';
+import { roundMoney } from './money.js';
+
+export class CouponError extends HttpError {}
+
+export const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+// A scope field as a list, even when the coupon was saved with a single value (e.g. from the admin panel)
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+const getCouponScope = (coupon) => ({
+  shopIds: toList(coupon.shops).map(id => id.toString()),
+  cuisines: toList(coupon.cuisines)
+});
+
+const isPlatformWide = (coupon) => {
+  const { shopIds, cuisines } = getCouponScope(coupon);
+  return shopIds.length === 0 && cuisines.length === 0;
+};
+
+// Whether a cart item's shop falls inside the coupon's shop or cuisine scope
+const isItemInScope = (coupon, item) => {
+  if (isPlatformWide(coupon)) return true;
+
+  const { shopIds, cuisines } = getCouponScope(coupon);
+  const shopId = (item.shop?._id || item.shop)?.toString();
+  if (shopIds.includes(shopId)) return true;
+
+  const shopCuisines = toList(item.shop?.cuisine);
+  return cuisines.some(cuisine => shopCuisines.includes(cuisine));
+};
+
+// Checkouts that still count against the customer's per-user limit.
+// A split checkout creates several orders but uses the coupon once.
+const countUserRedemptions = async (coupon, userId) => {
+  const filter = { userId, 'coupon.couponId': coupon._id, status: { $ne: 'cancelled' } };
+  const [grouped, ungrouped] = await Promise.all([
+    Order.distinct('checkoutGroup', { ...filter, checkoutGroup: { $ne: null } }),
+    Order.countDocuments({ ...filter, checkoutGroup: null })
+  ]);
+  return grouped.length + ungrouped;
+};
+
+/**
+ * Check a coupon against a cart and work out the discount.
+ * `items` are cart items with `shop` populated (including `cuisine`) and a `subtotal`.
+ */
+export const evaluateCoupon = async (coupon, { userId, items }) => {
+  const now = new Date();
+  if (!coupon || !coupon.isActive) {
+    throw new CouponError('Invalid coupon code', 404);
+  }
+  if (coupon.validFrom && coupon.validFrom > now) {
+    throw new CouponError('This coupon is not active yet');
+  }
+  if (coupon.validUntil && coupon.validUntil < now) {
+    throw new CouponError('This coupon has expired');
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw new CouponError('This coupon has reached its usage limit');
+  }
+
+  const eligibleItems = items.filter(item => isItemInScope(coupon, item));
+  const eligibleSubtotal = eligibleItems.reduce((sum, item) => sum + item.subtotal, 0);
+  // Shops the discount may be taken from in a split cart
+  const shopIds = [...new Set(eligibleItems.map(item => (item.shop?._id || item.shop).toString()))];
+
+  if (eligibleSubtotal === 0) {
+    throw new CouponError('This coupon does not apply to the items in your cart');
+  }
+  if (eligibleSubtotal < coupon.minOrderValue) {
+    throw new CouponError(`Add items worth ${roundMoney(coupon.minOrderValue - eligibleSubtotal)} more to use this coupon`);
+  }
+
+  if (userId && await countUserRedemptions(coupon, userId) >= coupon.perUserLimit) {
+    throw new CouponError('You have already used this coupon');
+  }
+
+  let discount = coupon.discountType === 'percentage' ?
+    eligibleSubtotal * coupon.discountValue / 100 :
+    coupon.discountValue;
+  if (coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  discount = roundMoney(Math.min(discount, eligibleSubtotal));
+
+  return { discount, eligibleSubtotal: roundMoney(eligibleSubtotal), shopIds };
+};
+
+export const findCouponByCode = (code) => Coupon.findOne({ code: normalizeCouponCode(code) });
+
+// Customers who used the coupon before the per-user counter existed start from their order history
+const ensureRedemptionCounter = async (coupon, userId) => {
+  if (await CouponRedemption.exists({ coupon: coupon._id, user: userId })) return;
+  try {
+    await CouponRedemption.create({ coupon: coupon._id, user: userId, count: await countUserRedemptions(coupon, userId) });
+  } catch (error) {
+    if (error.code !== 11000) throw error; // Another checkout created it first
+  }
+};
+
+/**
+ * Count a redemption by `userId`. Each limit check and its increment are one update, so
+ * concurrent checkouts can't take the coupon's last use or go past the per-user limit.
+ */
+export const redeemCoupon = async (coupon, userId) => {
+  await ensureRedemptionCounter(coupon, userId);
+  const userUse = await CouponRedemption.findOneAndUpdate(
+    { coupon: coupon._id, user: userId, count: { $lt: coupon.perUserLimit } },
+    { $inc: { count: 1 } }
+  );
+  if (!userUse) {
+    throw new CouponError('You have already used this coupon', 409);
+  }
+
+  const filter = { _id: coupon._id };
+  if (coupon.usageLimit) {
+    filter.usedCount = { $lt: coupon.usageLimit };
+  }
+
+  const updated = await Coupon.findOneAndUpdate(filter, { $inc: { usedCount: 1 } }, { new: true });
+  if (!updated) {
+    await CouponRedemption.release(coupon._id, userId);
+    throw new CouponError('This coupon has reached its usage limit', 409);
+  }
+  return updated;
+};
+
+// Undo redeemCoupon, e.g. when the checkout it was taken for does not go through
+export const unredeemCoupon = async (couponId, userId) => {
+  await Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+  await CouponRedemption.release(couponId, userId);
+};
+
+// Give a redemption back when the order it was used on is cancelled.
+// For split checkouts that happens only once the last order of the group is cancelled.
+export const releaseCoupon = async (order) => {
+  if (!order.coupon?.couponId) return;
+
+  // The claim sits on one order per checkout (the group's first), so sibling orders
+  // cancelled at the same moment can't both give the use back
+  let claimantId = order._id;
+  if (order.checkoutGroup) {
+    const openSibling = await Order.exists({
+      checkoutGroup: order.checkoutGroup,
+      _id: { $ne: order._id },
+      status: { $ne: 'cancelled' }
+    });
+    if (openSibling) return;
+
+    const first = await Order.findOne({ checkoutGroup: order.checkoutGroup }).sort({ _id: 1 }).select('_id');
+    claimantId = first?._id || order._id;
+  }
+
+  const claimed = await Order.updateOne(
+    { _id: claimantId, couponReleasedAt: null },
+    { $set: { couponReleasedAt: new Date() } }
+  );
+  if (claimed.matchedCount === 0) return;
+
+  await unredeemCoupon(order.coupon.couponId, order.userId);
+};
+
+// Shops that currently have at least one coupon, for the `offers` shop filter
+export const getActiveOfferScope = async () => {
+  const coupons = await Coupon.find(Coupon.activeFilter()).select('shops cuisines usageLimit usedCount').lean();
+  const available = coupons.filter(coupon => !coupon.usageLimit || coupon.usedCount < coupon.usageLimit);
+
+  return {
+    platformWide: available.some(isPlatformWide),
+    shopIds: [...new Set(available.flatMap(coupon => getCouponScope(coupon).shopIds))],
+    cuisines: [...new Set(available.flatMap(coupon => getCouponScope(coupon).cuisines))]
+  };
+};
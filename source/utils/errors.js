@@ -0,0 +1,9 @@
+// Base for errors a route can answer directly: the message is safe to show and
+// statusCode is the HTTP status to send
+export class HttpError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+  }
+}
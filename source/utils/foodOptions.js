@@ -0,0 +1,50 @@
+import { HttpError } from './errors.js';
+
+export class FoodOptionError extends HttpError {}
+
+/**
+ * Check the option IDs a customer picked for a food against its option groups.
+ * Returns the options to store on the cart/order line, the unit price
+ * (base price plus every option's delta) and a key identifying the combination.
+ */
+export const resolveFoodOptions = (food, optionIds = []) => {
+  const wanted = new Set(optionIds.map(id => id.toString()));
+  const selectedOptions = [];
+
+  for (const group of food.optionGroups || []) {
+    const picked = group.options.filter(option => wanted.has(option._id.toString()));
+    picked.forEach(option => wanted.delete(option._id.toString()));
+
+    if (group.required && picked.length === 0) {
+      throw new FoodOptionError(`Please choose an option for ${group.name}`);
+    }
+    if (group.type === 'single' && picked.length > 1) {
+      throw new FoodOptionError(`Only one option can be chosen for ${group.name}`);
+    }
+    if (group.maxSelect && picked.length > group.maxSelect) {
+      throw new FoodOptionError(`Choose at most ${group.maxSelect} options for ${group.name}`);
+    }
+
+    const unavailable = picked.find(option => !option.isAvailable);
+    if (unavailable) {
+      throw new FoodOptionError(`${unavailable.name} is currently unavailable`);
+    }
+
+    picked.forEach(option => selectedOptions.push({
+      groupId: group._id,
+      groupName: group.name,
+      optionId: option._id,
+      name: option.name,
+      priceDelta: option.priceDelta
+    }));
+  }
+
+  if (wanted.size > 0) {
+    throw new FoodOptionError(`${food.name} has no option with ID ${[...wanted][0]}`);
+  }
+
+  const unitPrice = food.price + selectedOptions.reduce((sum, option) => sum + option.priceDelta, 0);
+  const optionsKey = selectedOptions.map(option => option.optionId.toString()).sort().join(',');
+
+  return { selectedOptions, unitPrice, optionsKey };
+};
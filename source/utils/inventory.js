@@ -0,0 +1,130 @@
+import Food from '../models/Food.js';
+import { startRecurringJob } from './jobs.js';
+import { HttpError } from './errors.js';
+
+// Local time (HH:MM) at which stock-tracked items go back to their daily par level
+const INVENTORY_RESET_TIME = process.env.INVENTORY_RESET_TIME || '06:00';
+
+// Always a conflict; `problems` lists each item that ran short
+export class InventoryError extends HttpError {
+  constructor(message, problems = []) {
+    super(message, 409);
+    this.problems = problems;
+  }
+}
+
+// Sum quantities per food so a dish ordered on several lines is reserved once
+const quantitiesByFood = (items) => items.reduce((acc, item) => {
+  const foodId = (item.foodId?._id || item.foodId).toString();
+  acc.set(foodId, (acc.get(foodId) || 0) + item.quantity);
+  return acc;
+}, new Map());
+
+// Take portions only if enough are left. A dish that sells out goes out of stock in the same
+// update; instock is never switched back on here, as the owner may have taken the dish off.
+const takeStock = (foodId, quantity) => Food.updateOne(
+  { _id: foodId, stockQuantity: { $gte: quantity } },
+  [{
+    $set: {
+      stockQuantity: { $subtract: ['$stockQuantity', quantity] },
+      instock: { $cond: [{ $gt: [{ $subtract: ['$stockQuantity', quantity] }, 0] }, '$instock', false] }
+    }
+  }]
+);
+
+// Give portions back, but never past the daily par level (or the current count, if the owner
+// stocked above it), so a late cancel can't push the count beyond what the kitchen made
+const putBackStock = (foodId, quantity) => Food.updateOne(
+  { _id: foodId, stockQuantity: { $ne: null } },
+  [{
+    $set: {
+      stockQuantity: {
+        $cond: [
+          { $eq: [{ $ifNull: ['$dailyParLevel', null] }, null] },
+          { $add: ['$stockQuantity', quantity] },
+          {
+            $min: [
+              { $add: ['$stockQuantity', quantity] },
+              { $max: ['$stockQuantity', '$dailyParLevel'] }
+            ]
+          }
+        ]
+      }
+    }
+  }]
+);
+
+/**
+ * Take portions for order items ({ foodId, quantity }). Items without a stock count are skipped.
+ * Either every tracked item is reserved or none are: on a shortfall the earlier
+ * reservations are put back and an InventoryError lists what ran out.
+ */
+export const reserveStock = async (items) => {
+  const reserved = [];
+  const problems = [];
+
+  for (const [foodId, quantity] of quantitiesByFood(items)) {
+    const result = await takeStock(foodId, quantity);
+    if (result.modifiedCount === 1) {
+      reserved.push([foodId, quantity]);
+      continue;
+    }
+
+    const food = await Food.findById(foodId).select('name stockQuantity');
+    if (food && food.stockQuantity !== null) {
+      problems.push({
+        type: 'out_of_stock',
+        foodId,
+        foodName: food.name,
+        available: food.stockQuantity,
+        message: food.stockQuantity > 0 ?
+          `Only ${food.stockQuantity} portions of ${food.name} are left` :
+          `${food.name} is out of stock`
+      });
+    }
+  }
+
+  if (problems.length > 0) {
+    await Promise.all(reserved.map(([foodId, quantity]) => putBackStock(foodId, quantity)));
+    throw new InventoryError('Some items in your cart are no longer available in that quantity', problems);
+  }
+};
+
+// Put portions back, e.g. when an order is cancelled or could not be stored
+export const restoreStock = async (items) => {
+  await Promise.all(
+    [...quantitiesByFood(items)].map(([foodId, quantity]) => putBackStock(foodId, quantity))
+  );
+};
+
+export const resetDailyStock = async () => {
+  const result = await Food.updateMany(
+    { dailyParLevel: { $ne: null } },
+    [{
+      $set: {
+        stockQuantity: '$dailyParLevel',
+        instock: { $gt: ['$dailyParLevel', 0] },
+        stockResetAt: '$$NOW'
+      }
+    }]
+  );
+  return result.modifiedCount;
+};
+
+const msUntilNextReset = () => {
+  const [hours, minutes] = INVENTORY_RESET_TIME.split(':').map(Number);
+  const next = new Date();
+  next.setHours(hours, minutes || 0, 0, 0);
+  if (next <= new Date()) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next - Date.now();
+};
+
+// Reset stock to the daily par level once a day at INVENTORY_RESET_TIME
+export const startInventoryScheduler = () => {
+  startRecurringJob('Daily stock reset', async () => {
+    const count = await resetDailyStock();
+    console.log(`📦 Daily stock reset: ${count} items restocked`);
+  }, msUntilNextReset);
+};
@@ -0,0 +1,18 @@
+/**
+ * Run a background task over and over, waiting `nextDelay()` ms before each run.
+ * A failed run is logged and the next one is still scheduled.
+ * The timers are unref'd, so a pending run does not hold up shutdown.
+ */
+export const startRecurringJob = (label, task, nextDelay) => {
+  const scheduleNext = () => {
+    setTimeout(async () => {
+      try {
+        await task();
+      } catch (error) {
+        console.error(`${label} error:`, error);
+      }
+      scheduleNext();
+    }, nextDelay()).unref();
+  };
+  scheduleNext();
+};
@@ -0,0 +1,2 @@
+// Amounts are kept to two decimal places (paise)
+export const roundMoney = (value) => Math.round(value * 100) / 100;
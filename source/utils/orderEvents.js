@@ -0,0 +1,31 @@
+import { EventEmitter } from 'events';
+
+// In-process bus for order updates. Real-time subscribers (SSE) listen here.
+const orderEvents = new EventEmitter();
+orderEvents.setMaxListeners(0); // One listener per connected client
+
+export const ORDER_UPDATED = 'order.updated';
+
+const toId = (value) => (value?._id || value)?.toString();
+
+// Publish a change to an order. `type` tells clients what moved, e.g. 'status' or 'eta'.
+export const emitOrderUpdate = (order, type = 'status') => {
+  orderEvents.emit(ORDER_UPDATED, {
+    type,
+    _id: toId(order._id),
+    orderId: order.orderId,
+    status: order.status,
+    fulfillmentType: order.fulfillmentType,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    estimatedDeliveryTime: order.estimatedDeliveryTime,
+    estimatedReadyTime: order.estimatedReadyTime, // Pickup orders: when the order is ready at the counter
+    actualDeliveryTime: order.actualDeliveryTime,
+    userId: toId(order.userId),
+    shopId: toId(order.shopId),
+    riderId: toId(order.rider),
+    updatedAt: new Date().toISOString()
+  });
+};
+
+export default orderEvents;
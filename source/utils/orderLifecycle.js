@@ -0,0 +1,277 @@
+import Order from '../models/Order.js';
+import Shop from '../models/shop.js';
+import SlotBooking from '../models/SlotBooking.js';
+import { refundOrderPayment, PREPAID_METHODS } from './payments.js';
+import { emitOrderUpdate } from './orderEvents.js';
+import { assignNearestRider, releaseRider } from './riderAssignment.js';
+import { calculateRiderEarning } from './riderEarnings.js';
+import { refundOrderToWallet } from './wallet.js';
+import { releaseCoupon } from './coupons.js';
+import { restoreStock } from './inventory.js';
+import { HttpError } from './errors.js';
+
+// Customers may cancel before the kitchen starts, or within this many minutes of placing the order
+const CANCELLATION_WINDOW_MINUTES = parseInt(process.env.ORDER_CANCELLATION_WINDOW_MINUTES) || 5;
+
+// Legal status transitions. Terminal states have no outgoing edges.
+export const ORDER_TRANSITIONS = {
+  scheduled: ['pending', 'cancelled'],
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['preparing', 'ready', 'cancelled'], // Shops may skip 'preparing' and go straight from accept to ready
+  preparing: ['ready', 'cancelled'],
+  ready: ['out_for_delivery', 'cancelled'],
+  out_for_delivery: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Pickup orders skip the rider: the shop hands them over at the counter
+const PICKUP_TRANSITIONS = {
+  ...ORDER_TRANSITIONS,
+  ready: ['delivered', 'cancelled'],
+  out_for_delivery: []
+};
+
+// Orders the shop still has to act on or hand over
+export const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery'];
+
+// Which actor roles may move an order into a given status
+export const STATUS_PERMISSIONS = {
+  pending: ['admin'], // Scheduled orders are normally released by the scheduler
+  confirmed: ['shop', 'admin'],
+  preparing: ['shop', 'admin'],
+  ready: ['shop', 'admin'],
+  out_for_delivery: ['rider', 'admin'],
+  delivered: ['rider', 'admin'],
+  cancelled: ['shop', 'admin']
+};
+
+const PICKUP_STATUS_PERMISSIONS = {
+  ...STATUS_PERMISSIONS,
+  delivered: ['shop', 'admin']
+};
+
+export class OrderStatusError extends HttpError {}
+
+export const canTransition = (from, to, fulfillmentType = 'delivery') => {
+  const transitions = fulfillmentType === 'pickup' ? PICKUP_TRANSITIONS : ORDER_TRANSITIONS;
+  return (transitions[from] || []).includes(to);
+};
+
+// Prepaid orders only reach the shop once the payment provider has confirmed them
+export const isAwaitingPayment = (order) =>
+  PREPAID_METHODS.includes(order.paymentMethod) && order.paymentStatus !== 'completed';
+
+export const isCustomerCancellable = (order) => {
+  if (['scheduled', 'pending', 'confirmed'].includes(order.status)) {
+    return true;
+  }
+  const windowEndsAt = new Date(order.createdAt).getTime() + CANCELLATION_WINDOW_MINUTES * 60 * 1000;
+  return canTransition(order.status, 'cancelled', order.fulfillmentType) && Date.now() <= windowEndsAt;
+};
+
+// Work out every role the JWT user holds in relation to this order
+export const getOrderRoles = async (order, user) => {
+  const roles = [];
+  if (!user) return roles;
+
+  if (user.isAdmin || user.role === 'admin') {
+    roles.push('admin');
+  }
+  if (order.userId && order.userId.toString() === user.id) {
+    roles.push('customer');
+  }
+  if (order.rider && (order.rider._id || order.rider).toString() === user.id) {
+    roles.push('rider');
+  }
+
+  const shopId = order.shopId?._id || order.shopId;
+  const ownsShop = await Shop.exists({ _id: shopId, owner: user.id });
+  if (ownsShop) {
+    roles.push('shop');
+  }
+
+  return roles;
+};
+
+// An order is only closed against the customer's code: the OTP they read out to the rider,
+// or the pickup code they show at the counter
+const verifyHandoverCode = (order, handoverCode) => {
+  if (order.fulfillmentType === 'pickup') {
+    if (!handoverCode || String(handoverCode).trim() !== order.pickupCode) {
+      throw new OrderStatusError('Invalid pickup code');
+    }
+    return;
+  }
+
+  if (!order.deliveryOtp) return;
+
+  if (!handoverCode) {
+    throw new OrderStatusError('Delivery OTP is required');
+  }
+  if (String(handoverCode).trim() !== order.deliveryOtp) {
+    throw new OrderStatusError('Invalid delivery OTP');
+  }
+  order.proofOfDelivery.otpVerifiedAt = new Date();
+};
+
+// Record a claimed transition on the order: timestamps, earnings, refunds and history
+const applyTransition = async (order, nextStatus, { user, actorRole, reason, refundTo }) => {
+  order.status = nextStatus;
+
+  if (nextStatus === 'ready') {
+    order.readyAt = new Date();
+  }
+
+  if (nextStatus === 'out_for_delivery') {
+    order.pickedUpAt = new Date();
+  }
+
+  if (nextStatus === 'delivered') {
+    order.actualDeliveryTime = new Date();
+    if (order.rider) {
+      const { distanceKm, amount } = await calculateRiderEarning(order);
+      order.riderEarning = { distanceKm, amount };
+    }
+  }
+
+  if (nextStatus === 'cancelled') {
+    order.cancellationReason = reason;
+    if (order.paymentMethod === 'wallet' || refundTo === 'wallet') {
+      await refundOrderToWallet(order);
+    } else {
+      await refundOrderPayment(order);
+    }
+  }
+
+  order.statusHistory.push({
+    status: nextStatus,
+    changedBy: user?.id,
+    role: actorRole,
+    reason,
+    changedAt: new Date()
+  });
+
+  await order.save();
+};
+
+// Give back what a cancelled order was holding. The cancellation itself already went through,
+// so a step that fails is logged for follow-up instead of stopping the others.
+const releaseCancelledOrder = async (order) => {
+  const shopId = order.shopId?._id || order.shopId;
+  const steps = [
+    ['cancelled order count', () => Shop.updateOne({ _id: shopId }, { $inc: { cancelledOrders: 1 } })],
+    ['coupon', () => releaseCoupon(order)],
+    ['stock', () => restoreStock(order.items)],
+    ['scheduled slot', () => order.scheduledFor && SlotBooking.release(shopId, order.scheduledFor)]
+  ];
+  for (const [label, step] of steps) {
+    try {
+      await step();
+    } catch (error) {
+      console.error(`Cancelled order release error (${label}):`, error);
+    }
+  }
+};
+
+// Undo a claimed transition whose bookkeeping failed, so it can be retried.
+// A wallet refund that was claimed but not paid gives up its claim; one that was paid stays recorded.
+const rollbackTransition = async (order, previousStatus, nextStatus) => {
+  const update = { status: previousStatus };
+  if (nextStatus === 'cancelled') {
+    if (order.paymentStatus === 'refunded') {
+      Object.assign(update, {
+        paymentStatus: order.paymentStatus,
+        refundId: order.refundId,
+        refundedTo: order.refundedTo,
+        refundedAt: order.refundedAt
+      });
+    } else {
+      update.refundedAt = null;
+      order.refundedAt = null;
+    }
+  }
+  await Order.updateOne({ _id: order._id, status: nextStatus }, { $set: update });
+  order.status = previousStatus;
+};
+
+/**
+ * Move an order to a new status, enforcing the state machine and role checks.
+ * Pass `role: 'system'` for internal jobs that act without a logged in user.
+ * Marking an order delivered needs the customer's `handoverCode` unless an admin does it.
+ * On cancellation, `refundTo: 'wallet'` sends the refund to the customer's wallet.
+ */
+export const transitionOrderStatus = async (order, nextStatus, { user, role, reason, refundTo, handoverCode } = {}) => {
+  if (!ORDER_TRANSITIONS[nextStatus]) {
+    throw new OrderStatusError(`Unknown order status: ${nextStatus}`);
+  }
+
+  if (!canTransition(order.status, nextStatus, order.fulfillmentType)) {
+    throw new OrderStatusError(`Cannot change order status from ${order.status} to ${nextStatus}`, 409);
+  }
+
+  if (nextStatus === 'confirmed' && isAwaitingPayment(order)) {
+    throw new OrderStatusError('Order is awaiting payment confirmation', 409);
+  }
+
+  let actorRole = role;
+  if (actorRole !== 'system') {
+    const roles = await getOrderRoles(order, user);
+    const permissions = order.fulfillmentType === 'pickup' ? PICKUP_STATUS_PERMISSIONS : STATUS_PERMISSIONS;
+    const allowedRoles = permissions[nextStatus] || [];
+    actorRole = allowedRoles.find(r => roles.includes(r));
+
+    // Customers can only cancel their own orders, and only while the cancellation rules allow it
+    if (!actorRole && nextStatus === 'cancelled' && roles.includes('customer')) {
+      if (!isCustomerCancellable(order)) {
+        throw new OrderStatusError('This order can no longer be cancelled', 409);
+      }
+      actorRole = 'customer';
+    }
+
+    if (!actorRole) {
+      throw new OrderStatusError(`You are not allowed to mark this order as ${nextStatus}`, 403);
+    }
+  }
+
+  if (nextStatus === 'delivered' && !['admin', 'system'].includes(actorRole)) {
+    verifyHandoverCode(order, handoverCode);
+  }
+
+  // Claim the transition before any side effect, so two concurrent cancels (or a cancel
+  // racing a reject) can't both refund, restore stock and release the coupon
+  const previousStatus = order.status;
+  const claimed = await Order.updateOne(
+    { _id: order._id, status: previousStatus },
+    { $set: { status: nextStatus } }
+  );
+  if (claimed.matchedCount === 0) {
+    throw new OrderStatusError('This order was updated by someone else. Refresh and try again.', 409);
+  }
+
+  try {
+    await applyTransition(order, nextStatus, { user, actorRole, reason, refundTo });
+    if (nextStatus === 'cancelled') {
+      await releaseCancelledOrder(order);
+    }
+  } catch (error) {
+    await rollbackTransition(order, previousStatus, nextStatus);
+    throw error;
+  }
+
+  emitOrderUpdate(order, 'status');
+
+  // Rider dispatch should never undo a status change that already went through
+  try {
+    if (nextStatus === 'ready' && order.fulfillmentType !== 'pickup') {
+      await assignNearestRider(order);
+    }
+    if (['delivered', 'cancelled'].includes(nextStatus) && order.rider) {
+      await releaseRider(order.rider._id || order.rider);
+    }
+  } catch (error) {
+    console.error('Rider dispatch error:', error);
+  }
+
+  return order;
+};
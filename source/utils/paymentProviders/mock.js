@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+
+// Local payment provider for development and end-to-end testing.
+// Intents live in memory, so they do not survive a restart (dev only).
+const intentStore = new Map();
+
+const WEBHOOK_SIGNATURE_HEADER = 'x-mock-signature';
+
+// Card numbers that simulate a declined payment, mirroring real gateways' test cards
+const DECLINED_TEST_CARDS = ['4000000000000002'];
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+// There is deliberately no fallback secret: without PAYMENT_WEBHOOK_SECRET every webhook is refused
+const getWebhookSecret = () => process.env.PAYMENT_WEBHOOK_SECRET;
+
+export const signMockWebhook = (rawBody) => {
+  const secret = getWebhookSecret();
+  if (!secret) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+  }
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+};
+
+const mockProvider = {
+  name: 'mock',
+  signatureHeader: WEBHOOK_SIGNATURE_HEADER,
+
+  async createIntent({ amount, currency = 'INR', reference, metadata = {} }) {
+    const intent = {
+      intentId: newId('mock_pi'),
+      clientSecret: newId('mock_secret'),
+      amount,
+      currency,
+      reference,
+      metadata,
+      status: 'requires_confirmation'
+    };
+    intentStore.set(intent.intentId, intent);
+    return { ...intent };
+  },
+
+  async confirm(intentId, { paymentDetails = {} } = {}) {
+    const intent = intentStore.get(intentId);
+    if (!intent) {
+      return { status: 'failed', failureReason: 'Payment intent not found' };
+    }
+    if (intent.status === 'succeeded') {
+      return { status: 'succeeded', paymentId: intent.paymentId };
+    }
+
+    const cardNumber = String(paymentDetails.cardNumber || '').replace(/\s/g, '');
+    if (paymentDetails.simulateFailure || DECLINED_TEST_CARDS.includes(cardNumber)) {
+      intent.status = 'failed';
+      return { status: 'failed', failureReason: 'Payment declined' };
+    }
+
+    intent.status = 'succeeded';
+    intent.paymentId = newId('mock_pay');
+    return { status: 'succeeded', paymentId: intent.paymentId };
+  },
+
+  isWebhookConfigured() {
+    return Boolean(getWebhookSecret());
+  },
+
+  // Returns the parsed event, or null when the signature does not match
+  async verifyWebhook(rawBody, headers) {
+    const signature = headers[WEBHOOK_SIGNATURE_HEADER];
+    if (!signature || !rawBody || !getWebhookSecret()) return null;
+
+    const expected = Buffer.from(signMockWebhook(rawBody));
+    const received = Buffer.from(String(signature));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    return JSON.parse(rawBody.toString());
+  },
+
+  async refund({ paymentId, amount }) {
+    return { refundId: newId('mock_re'), paymentId, amount, status: 'succeeded' };
+  }
+};
+
+export default mockProvider;
@@ -0,0 +1,215 @@
+// Payment layer shared by checkout, payment routes and order cancellation.
+// Every provider implements: createIntent, confirm, isWebhookConfigured, verifyWebhook and refund,
+// and names the header that carries its webhook signature (signatureHeader).
+import Order from '../models/Order.js';
+import mockProvider from './paymentProviders/mock.js';
+import { emitOrderUpdate } from './orderEvents.js';
+import { roundMoney } from './money.js';
+
+const providers = {
+  [mockProvider.name]: mockProvider
+};
+
+// Normalized webhook event types and the payment status each one leads to
+const EVENT_PAYMENT_STATUS = {
+  'payment.succeeded': 'completed',
+  'payment.failed': 'failed',
+  'payment.refunded': 'refunded'
+};
+
+// Payment status moves a webhook may make; anything else is stale or out of order
+const PAYMENT_STATUS_TRANSITIONS = {
+  pending: ['completed', 'failed'],
+  failed: ['completed'],
+  completed: ['refunded'],
+  refunded: []
+};
+
+// Payment methods that are charged online before the shop sees the order
+export const PREPAID_METHODS = ['card', 'upi'];
+
+// Real gateways (Razorpay, Stripe, ...) plug in here with the same interface
+export const registerPaymentProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+// No default provider: falling back to the mock one would mark card and UPI orders paid without a charge
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  if (!name) {
+    throw new Error('PAYMENT_PROVIDER is not set');
+  }
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+// The mock provider charges nobody, so it only stands in for a gateway during development and testing
+export const isMockProviderEnvironment = () => ['development', 'test'].includes(process.env.NODE_ENV);
+
+// Card and UPI checkout, wallet top-ups and payment webhooks. Off by default, so a
+// cash-on-delivery deployment runs without any gateway set up.
+export const isOnlinePaymentEnabled = () => process.env.ONLINE_PAYMENTS_ENABLED === 'true';
+
+// Called once at startup so a misconfigured deploy fails before it takes any orders
+export const assertPaymentConfig = () => {
+  if (!isOnlinePaymentEnabled()) {
+    console.warn('⚠️  Online payments are disabled (ONLINE_PAYMENTS_ENABLED is not true): only cash on delivery and wallet orders are accepted');
+    return;
+  }
+  const provider = getPaymentProvider();
+  if (provider.name === mockProvider.name && process.env.NODE_ENV === 'production') {
+    throw new Error('The mock payment provider cannot be used in production');
+  }
+};
+
+// Start one online payment for the orders placed in a checkout.
+// The orders stay pending until the provider confirms it.
+export const createCheckoutPayment = async (orders) => {
+  const provider = getPaymentProvider();
+  const amount = roundMoney(orders.reduce((sum, order) => sum + order.grandTotal, 0));
+  const intent = await provider.createIntent({
+    amount,
+    reference: orders[0].checkoutGroup || orders[0].orderId,
+    metadata: { orderIds: orders.map(order => order._id.toString()) }
+  });
+
+  for (const order of orders) {
+    order.paymentProvider = provider.name;
+    order.paymentIntentId = intent.intentId;
+    order.paymentStatus = 'pending';
+  }
+
+  return {
+    provider: provider.name,
+    intentId: intent.intentId,
+    clientSecret: intent.clientSecret,
+    amount: intent.amount,
+    currency: intent.currency
+  };
+};
+
+// Record a provider result ({ status, paymentId }) on an order
+export const applyPaymentResult = (order, { status, paymentId }) => {
+  if (status === 'succeeded') {
+    order.paymentStatus = 'completed';
+    order.paymentId = paymentId;
+    order.paidAt = new Date();
+  } else if (status === 'failed') {
+    order.paymentStatus = 'failed';
+  }
+};
+
+// A payment that only lands after the order was cancelled is refunded straight away
+const refundIfCancelled = async (order) => {
+  if (order.status === 'cancelled' && order.paymentStatus === 'completed') {
+    await refundOrderPayment(order);
+  }
+};
+
+// Confirm the payment behind an order. Other orders from the same checkout share the
+// intent, so they are updated and saved here; the caller saves `order` itself.
+export const confirmOrderPayment = async (order, paymentDetails) => {
+  const provider = getPaymentProvider(order.paymentProvider);
+  const result = await provider.confirm(order.paymentIntentId, { paymentDetails });
+  applyPaymentResult(order, result);
+
+  const siblings = await Order.find({ paymentIntentId: order.paymentIntentId, _id: { $ne: order._id } });
+  for (const sibling of siblings) {
+    applyPaymentResult(sibling, result);
+    await refundIfCancelled(sibling);
+    await sibling.save();
+    emitOrderUpdate(sibling, 'payment');
+  }
+
+  return result;
+};
+
+// Refund a prepaid order. Cash on delivery and unpaid orders have nothing to refund.
+export const refundOrderPayment = async (order) => {
+  if (order.paymentMethod === 'cod' || order.paymentStatus !== 'completed') {
+    return null;
+  }
+
+  let refundId;
+  if (order.paymentProvider) {
+    const refund = await getPaymentProvider(order.paymentProvider).refund({
+      paymentId: order.paymentId,
+      amount: order.grandTotal
+    });
+    refundId = refund.refundId;
+  } else {
+    // Orders paid before the gateway integration were never charged at a provider
+    refundId = `REF_${Date.now()}`;
+  }
+
+  order.paymentStatus = 'refunded';
+  order.refundId = refundId;
+  order.refundedTo = 'original';
+  order.refundedAt = new Date();
+
+  return { refundId, amount: order.grandTotal };
+};
+
+/**
+ * Apply a verified webhook event (a PaymentEvent document) to the orders it refers to.
+ * Safe to run more than once: orders already in the target state are left alone.
+ */
+export const processPaymentEvent = async (event) => {
+  const nextStatus = EVENT_PAYMENT_STATUS[event.type];
+  if (!nextStatus) {
+    return { status: 'ignored', reason: `Unhandled event type ${event.type}`, orders: [] };
+  }
+
+  const filter = event.intentId ? { paymentIntentId: event.intentId } : { paymentId: event.paymentId };
+  if (!filter.paymentIntentId && !filter.paymentId) {
+    return { status: 'ignored', reason: 'Event does not reference a payment', orders: [] };
+  }
+
+  const orders = await Order.find(filter);
+  if (orders.length === 0) {
+    return { status: 'ignored', reason: 'No matching order', orders: [] };
+  }
+
+  // Orders from a split checkout share one payment but are refunded one by one
+  if (nextStatus === 'refunded' && orders.length > 1) {
+    const refundId = event.payload?.data?.refundId;
+    const refunded = orders.filter(order => refundId && order.refundId === refundId);
+    return {
+      status: 'ignored',
+      reason: refunded.length ? 'Orders already up to date' : 'Refund does not identify a single order',
+      orders: (refunded.length ? refunded : orders).map(order => order._id)
+    };
+  }
+
+  let updatedCount = 0;
+  for (const order of orders) {
+    if (!PAYMENT_STATUS_TRANSITIONS[order.paymentStatus]?.includes(nextStatus)) {
+      continue;
+    }
+
+    if (nextStatus === 'refunded') {
+      order.paymentStatus = 'refunded';
+      order.refundId = event.payload?.data?.refundId || order.refundId;
+      order.refundedTo = 'original';
+      order.refundedAt = new Date();
+    } else {
+      applyPaymentResult(order, {
+        status: nextStatus === 'completed' ? 'succeeded' : 'failed',
+        paymentId: event.paymentId
+      });
+      await refundIfCancelled(order);
+    }
+
+    await order.save();
+    emitOrderUpdate(order, 'payment');
+    updatedCount += 1;
+  }
+
+  return {
+    status: updatedCount > 0 ? 'processed' : 'ignored',
+    reason: updatedCount > 0 ? undefined : 'Orders already up to date',
+    orders: orders.map(order => order._id)
+  };
+};
@@ -0,0 +1,127 @@
+import { roundMoney } from './money.js';
+
+// Cart pricing shared by the cart summary and checkout, so both always show the same totals.
+// Cart items must have `shop` populated with the pricing fields below.
+export const SHOP_PRICING_FIELDS = 'name address phone cuisine location deliveryCharge tax minOrderValue deliveryAvailable deliveryRadius deliveryZone pickupAvailable';
+
+const parseCoordinate = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Accepts { latitude, longitude } from a query string or a delivery address
+export const getDeliveryCoordinates = (source = {}) => {
+  const latitude = parseCoordinate(source.latitude ?? source.lat);
+  const longitude = parseCoordinate(source.longitude ?? source.lng);
+  if (latitude === null || longitude === null) return null;
+  if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) return null;
+  return { latitude, longitude };
+};
+
+/**
+ * Price a cart per shop: item total, the shop's tax rate (a percentage),
+ * its distance-based delivery fee and its minimum order value.
+ * `discount` is the coupon discount for the whole cart; it is shared across the shops in
+ * `discountShopIds` (every shop when omitted) in proportion to their item totals, before tax.
+ * Pickup carts pay no delivery fee, but every shop must offer pickup.
+ * With delivery coordinates, each shop's delivery zone must also cover the address.
+ */
+export const priceCart = (items, { coordinates, discount = 0, discountShopIds, fulfillmentType = 'delivery' } = {}) => {
+  const groups = new Map();
+  for (const item of items) {
+    const shopId = item.shop._id.toString();
+    if (!groups.has(shopId)) {
+      groups.set(shopId, { shop: item.shop, items: [], itemTotal: 0 });
+    }
+    const group = groups.get(shopId);
+    group.items.push(item);
+    group.itemTotal += item.subtotal;
+  }
+
+  const itemTotal = items.reduce((sum, item) => sum + item.subtotal, 0);
+  const problems = [];
+
+  // A coupon scoped to some shops only lowers those shops' orders
+  const isDiscounted = (shopId) => !discountShopIds || discountShopIds.includes(shopId);
+  const discountedTotal = [...groups.entries()]
+    .filter(([shopId]) => isDiscounted(shopId))
+    .reduce((sum, [, group]) => sum + group.itemTotal, 0);
+
+  const shops = [...groups.entries()].map(([shopId, group]) => {
+    const { shop } = group;
+    const discountShare = discountedTotal > 0 && isDiscounted(shopId) ?
+      discount * group.itemTotal / discountedTotal :
+      0;
+
+    let distance = null;
+    if (coordinates && shop.location?.coordinates?.length) {
+      distance = shop.calculateDistance(coordinates.latitude, coordinates.longitude);
+    }
+    let deliveryFee = 0;
+    if (fulfillmentType === 'delivery') {
+      deliveryFee = distance !== null ?
+        shop.calculateDeliveryCharge(distance) :
+        shop.deliveryCharge || 0;
+    }
+
+    const taxes = Math.round((group.itemTotal - discountShare) * (shop.tax || 0) / 100);
+
+    const offered = fulfillmentType === 'pickup' ? shop.pickupAvailable : shop.deliveryAvailable !== false;
+    if (!offered) {
+      problems.push({
+        type: 'fulfillment_unavailable',
+        shopId: shop._id,
+        shopName: shop.name,
+        fulfillmentType,
+        message: `${shop.name} does not offer ${fulfillmentType}`
+      });
+    }
+
+    if (offered && fulfillmentType === 'delivery' && coordinates &&
+        !shop.deliversTo(coordinates.latitude, coordinates.longitude).serviceable) {
+      problems.push({
+        type: 'out_of_delivery_range',
+        shopId: shop._id,
+        shopName: shop.name,
+        distance,
+        message: `${shop.name} does not deliver to this address`
+      });
+    }
+
+    if (shop.minOrderValue && group.itemTotal < shop.minOrderValue) {
+      problems.push({
+        type: 'min_order_value',
+        shopId: shop._id,
+        shopName: shop.name,
+        minOrderValue: shop.minOrderValue,
+        shortBy: roundMoney(shop.minOrderValue - group.itemTotal),
+        message: `Add items worth ${roundMoney(shop.minOrderValue - group.itemTotal)} more from ${shop.name} to place the order`
+      });
+    }
+
+    return {
+      shop,
+      items: group.items,
+      shopSubtotal: roundMoney(group.itemTotal),
+      discount: roundMoney(discountShare),
+      distance,
+      deliveryFee,
+      taxRate: shop.tax || 0,
+      taxes,
+      total: roundMoney(group.itemTotal - discountShare + deliveryFee + taxes)
+    };
+  });
+
+  const deliveryFee = shops.reduce((sum, group) => sum + group.deliveryFee, 0);
+  const taxes = shops.reduce((sum, group) => sum + group.taxes, 0);
+
+  return {
+    shops,
+    itemTotal: roundMoney(itemTotal),
+    discount: roundMoney(discount),
+    deliveryFee: roundMoney(deliveryFee),
+    taxes,
+    grandTotal: roundMoney(itemTotal - discount + deliveryFee + taxes),
+    problems
+  };
+};
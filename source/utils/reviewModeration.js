@@ -0,0 +1,30 @@
+// Reviews with at least one report that no admin has looked at since
+export const pendingReportFilter = () => ({
+  reportCount: { $gt: 0 },
+  $or: [
+    { 'moderation.reviewedAt': { $exists: false } },
+    { $expr: { $gt: [{ $max: '$reports.createdAt' }, '$moderation.reviewedAt'] } }
+  ]
+});
+
+const recordModeration = (review, adminId, note) => {
+  review.moderation = {
+    reviewedBy: adminId,
+    reviewedAt: new Date(),
+    note
+  };
+};
+
+// Hiding takes the review out of listings and Shop.rating (recomputed by the Review save hook)
+export const hideReview = async (review, adminId, note) => {
+  review.status = 'hidden';
+  recordModeration(review, adminId, note);
+  return review.save();
+};
+
+// Put a review back, e.g. when the reports turned out to be unfounded
+export const restoreReview = async (review, adminId, note) => {
+  review.status = 'visible';
+  recordModeration(review, adminId, note);
+  return review.save();
+};
@@ -0,0 +1,99 @@
+import User from '../models/User.js';
+import Shop from '../models/shop.js';
+import Order from '../models/Order.js';
+import { emitOrderUpdate } from './orderEvents.js';
+
+// How far (in meters) from the shop we look for an available rider
+const RIDER_SEARCH_RADIUS = parseInt(process.env.RIDER_SEARCH_RADIUS_METERS) || 5000;
+
+// Take a rider off the available pool. Returns null if someone else claimed them first.
+const claimRider = (riderId) => User.findOneAndUpdate(
+  { _id: riderId, 'riderStatus.isOnShift': true, 'riderStatus.isAvailable': true },
+  { 'riderStatus.isAvailable': false },
+  { new: true }
+);
+
+const releaseClaim = (riderId) => User.updateOne(
+  { _id: riderId, 'riderStatus.isOnShift': true },
+  { 'riderStatus.isAvailable': true }
+);
+
+// Attach a claimed rider to a ready, unassigned delivery order (pickup orders never get a rider)
+const claimOrder = (filter, riderId) => Order.findOneAndUpdate(
+  { ...filter, status: 'ready', rider: null, fulfillmentType: { $ne: 'pickup' } },
+  { rider: riderId, riderAssignedAt: new Date() },
+  { new: true, sort: { readyAt: 1 } }
+);
+
+/**
+ * Assign a ready order to the nearest available rider around its shop.
+ * Returns the rider, or null when nobody is free (the order waits for the next free rider).
+ */
+export const assignNearestRider = async (order) => {
+  if (order.rider) return null;
+
+  const shopId = order.shopId?._id || order.shopId;
+  const shop = await Shop.findById(shopId).select('location');
+  if (!shop?.location?.coordinates) return null;
+
+  const [longitude, latitude] = shop.location.coordinates;
+  const candidates = await User.findNearbyRiders(longitude, latitude, RIDER_SEARCH_RADIUS)
+    .select('_id')
+    .limit(5);
+
+  for (const candidate of candidates) {
+    const rider = await claimRider(candidate._id);
+    if (!rider) continue;
+
+    const assigned = await claimOrder({ _id: order._id }, rider._id);
+    if (!assigned) {
+      // The order was assigned or moved on meanwhile
+      await releaseClaim(rider._id);
+      return null;
+    }
+
+    order.rider = assigned.rider;
+    order.riderAssignedAt = assigned.riderAssignedAt;
+    emitOrderUpdate(assigned, 'rider_assigned');
+    return rider;
+  }
+
+  return null;
+};
+
+// Give a newly free rider the oldest waiting order from a nearby shop
+export const assignWaitingOrder = async (riderId) => {
+  const rider = await User.findById(riderId).select('riderStatus');
+  const coordinates = rider?.riderStatus?.location?.coordinates;
+  if (!coordinates?.length) return null;
+
+  // $near cannot be used with distinct(), so collect the ids by hand
+  const nearbyShops = await Shop.findNearby(coordinates[0], coordinates[1], RIDER_SEARCH_RADIUS).select('_id').lean();
+  const nearbyShopIds = nearbyShops.map(shop => shop._id);
+  if (nearbyShopIds.length === 0) return null;
+
+  const waitingOrder = await Order.exists({
+    shopId: { $in: nearbyShopIds },
+    status: 'ready',
+    rider: null,
+    fulfillmentType: { $ne: 'pickup' }
+  });
+  if (!waitingOrder) return null;
+
+  if (!(await claimRider(riderId))) return null;
+
+  const assigned = await claimOrder({ shopId: { $in: nearbyShopIds } }, riderId);
+  if (!assigned) {
+    await releaseClaim(riderId);
+    return null;
+  }
+
+  emitOrderUpdate(assigned, 'rider_assigned');
+  return assigned;
+};
+
+// Put a rider back in the pool after a delivery ends, and hand them the next waiting order
+export const releaseRider = async (riderId) => {
+  await releaseClaim(riderId);
+  return assignWaitingOrder(riderId);
+};
@@ -0,0 +1,38 @@
+import Shop from '../models/shop.js';
+import { roundMoney } from './money.js';
+
+// Per-delivery pay: a base amount, a per-km rate and a share of the customer's delivery fee
+const RIDER_BASE_PAY = parseFloat(process.env.RIDER_BASE_PAY) || 20;
+const RIDER_PER_KM_RATE = parseFloat(process.env.RIDER_PER_KM_RATE) || 6;
+const RIDER_DELIVERY_FEE_SHARE = parseFloat(process.env.RIDER_DELIVERY_FEE_SHARE) || 0.5;
+
+export const calculateEarningAmount = (distanceKm, deliveryFee = 0) => roundMoney(
+  RIDER_BASE_PAY + distanceKm * RIDER_PER_KM_RATE + deliveryFee * RIDER_DELIVERY_FEE_SHARE
+);
+
+// Distance from the shop to the customer's delivery address. The rider's own reported
+// position is never used, so posting far-away coordinates can't inflate the payout.
+const getDeliveryDistance = async (order) => {
+  const shopId = order.shopId?._id || order.shopId;
+  const coordinates = order.deliveryAddress?.location?.coordinates;
+  if (!coordinates?.length) {
+    return 0;
+  }
+
+  const shop = await Shop.findById(shopId).select('location');
+  if (!shop?.location?.coordinates) {
+    return 0;
+  }
+
+  const [longitude, latitude] = coordinates;
+  return shop.calculateDistance(latitude, longitude);
+};
+
+// Work out what the rider earns for a delivered order
+export const calculateRiderEarning = async (order) => {
+  const distanceKm = await getDeliveryDistance(order);
+  return {
+    distanceKm,
+    amount: calculateEarningAmount(distanceKm, order.deliveryFee)
+  };
+};
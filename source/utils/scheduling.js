@@ -0,0 +1,196 @@
+import Order from '../models/Order.js';
+import SlotBooking from '../models/SlotBooking.js';
+import { transitionOrderStatus } from './orderLifecycle.js';
+import { startRecurringJob } from './jobs.js';
+import { HttpError } from './errors.js';
+
+// Scheduled orders reach the shop queue this many minutes before their slot
+export const SCHEDULED_ORDER_LEAD_MINUTES = parseInt(process.env.SCHEDULED_ORDER_LEAD_MINUTES) || 45;
+const RELEASE_CHECK_INTERVAL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class SchedulingError extends HttpError {}
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+const getSchedulingSettings = (shop) => ({
+  enabled: shop.scheduling?.enabled !== false,
+  slotDurationMinutes: shop.scheduling?.slotDurationMinutes || 30,
+  slotCapacity: shop.scheduling?.slotCapacity || 10,
+  maxDaysAhead: shop.scheduling?.maxDaysAhead ?? 3
+});
+
+// Slot start times on one day (server local time, like Shop.isCurrentlyOpen) that fit
+// inside opening hours and are far enough ahead for the kitchen to prepare the order.
+// A shop closing at or before its opening time (e.g. 18:00-02:00) closes the next day,
+// so a day's slots may run past midnight.
+export const listDaySlots = (shop, day) => {
+  const { slotDurationMinutes } = getSchedulingSettings(shop);
+  const earliest = Date.now() + SCHEDULED_ORDER_LEAD_MINUTES * 60 * 1000;
+  const openMinutes = toMinutes(shop.openTime);
+  let closeMinutes = toMinutes(shop.closeTime);
+  if (closeMinutes <= openMinutes) {
+    closeMinutes += 24 * 60;
+  }
+  const slots = [];
+
+  for (let minutes = openMinutes; minutes + slotDurationMinutes <= closeMinutes; minutes += slotDurationMinutes) {
+    const start = new Date(day);
+    start.setHours(0, minutes, 0, 0);
+    if (start.getTime() >= earliest) {
+      slots.push(start);
+    }
+  }
+  return slots;
+};
+
+const countSlotOrders = (shopId, slot) =>
+  Order.countDocuments({ shopId, scheduledFor: slot, status: { $ne: 'cancelled' } });
+
+// Places taken in each slot, keyed by slot start timestamp. Slots booked before the
+// SlotBooking counters existed are counted from their orders.
+const getSlotBookings = async (shopId, slots) => {
+  const [counters, bookings] = await Promise.all([
+    SlotBooking.find({ shop: shopId, slot: { $in: slots } }).lean(),
+    Order.aggregate([
+      {
+        $match: {
+          shopId,
+          scheduledFor: { $in: slots },
+          status: { $ne: 'cancelled' }
+        }
+      },
+      { $group: { _id: '$scheduledFor', count: { $sum: 1 } } }
+    ])
+  ]);
+  const taken = new Map(bookings.map(booking => [booking._id.getTime(), booking.count]));
+  counters.forEach(counter => taken.set(counter.slot.getTime(), counter.count));
+  return taken;
+};
+
+export const getAvailableSlots = async (shop, day) => {
+  const { enabled, slotDurationMinutes, slotCapacity, maxDaysAhead } = getSchedulingSettings(shop);
+  const lastDay = new Date(Date.now() + maxDaysAhead * DAY_MS);
+  lastDay.setHours(23, 59, 59, 999);
+  if (!enabled || day > lastDay) {
+    return [];
+  }
+
+  const slots = listDaySlots(shop, day);
+  const bookings = await getSlotBookings(shop._id, slots);
+
+  return slots.map(start => {
+    const booked = bookings.get(start.getTime()) || 0;
+    return {
+      start,
+      end: new Date(start.getTime() + slotDurationMinutes * 60 * 1000),
+      remaining: Math.max(slotCapacity - booked, 0),
+      available: booked < slotCapacity
+    };
+  });
+};
+
+/**
+ * Check a requested delivery slot for a shop. It has to be the exact start of one of
+ * the shop's slots, inside the booking window, and not full yet.
+ */
+export const validateScheduledSlot = async (shop, requested) => {
+  const { enabled, slotCapacity, maxDaysAhead } = getSchedulingSettings(shop);
+  if (!enabled) {
+    throw new SchedulingError(`${shop.name} does not take scheduled orders`);
+  }
+
+  const scheduledFor = new Date(requested);
+  if (isNaN(scheduledFor)) {
+    throw new SchedulingError('scheduledFor must be a valid date');
+  }
+
+  // A slot after midnight may belong to the previous day's opening hours
+  const previousDay = new Date(scheduledFor.getTime() - DAY_MS);
+  const openingDay = [scheduledFor, previousDay].find(day =>
+    listDaySlots(shop, day).some(start => start.getTime() === scheduledFor.getTime()));
+  if (!openingDay) {
+    throw new SchedulingError(`Please pick one of the available delivery slots for ${shop.name}`);
+  }
+
+  const lastDay = new Date(Date.now() + maxDaysAhead * DAY_MS);
+  lastDay.setHours(23, 59, 59, 999);
+  if (openingDay > lastDay) {
+    throw new SchedulingError(`${shop.name} takes scheduled orders up to ${maxDaysAhead} days ahead`);
+  }
+  const slot = scheduledFor;
+
+  const bookings = await getSlotBookings(shop._id, [slot]);
+  if ((bookings.get(slot.getTime()) || 0) >= slotCapacity) {
+    throw new SchedulingError('This delivery slot is full. Please pick another one.', 409);
+  }
+
+  return {
+    scheduledFor: slot,
+    releaseAt: new Date(slot.getTime() - SCHEDULED_ORDER_LEAD_MINUTES * 60 * 1000)
+  };
+};
+
+// Start a slot's counter from the orders already booked into it
+const ensureSlotCounter = async (shopId, slot) => {
+  if (await SlotBooking.exists({ shop: shopId, slot })) return;
+  try {
+    await SlotBooking.create({ shop: shopId, slot, count: await countSlotOrders(shopId, slot) });
+  } catch (error) {
+    if (error.code !== 11000) throw error; // Another checkout created it first
+  }
+};
+
+/**
+ * Take a place in the slot of every scheduled order of a checkout. The capacity check and
+ * the increment are a single update, so concurrent checkouts can't overbook a slot.
+ * Either every place is taken or none is.
+ */
+export const reserveOrderSlots = async (orders, shopsById) => {
+  const reserved = [];
+  try {
+    for (const order of orders.filter(order => order.scheduledFor)) {
+      const shop = shopsById.get(order.shopId.toString());
+      const { slotCapacity } = getSchedulingSettings(shop);
+      await ensureSlotCounter(shop._id, order.scheduledFor);
+
+      const booking = await SlotBooking.findOneAndUpdate(
+        { shop: shop._id, slot: order.scheduledFor, count: { $lt: slotCapacity } },
+        { $inc: { count: 1 } }
+      );
+      if (!booking) {
+        throw new SchedulingError(`This delivery slot is full at ${shop.name}. Please pick another one.`, 409);
+      }
+      reserved.push(order);
+    }
+  } catch (error) {
+    await releaseOrderSlots(reserved);
+    throw error;
+  }
+};
+
+export const releaseOrderSlots = (orders) => Promise.all(orders
+  .filter(order => order.scheduledFor)
+  .map(order => SlotBooking.release(order.shopId, order.scheduledFor)));
+
+// Move scheduled orders whose release time has come into the shop queue
+export const releaseDueScheduledOrders = async () => {
+  const dueOrders = await Order.find({ status: 'scheduled', releaseAt: { $lte: new Date() } });
+
+  for (const order of dueOrders) {
+    try {
+      await transitionOrderStatus(order, 'pending', { role: 'system', reason: 'Released for scheduled delivery slot' });
+    } catch (error) {
+      console.error(`Scheduled order release error (${order.orderId}):`, error);
+    }
+  }
+  return dueOrders.length;
+};
+
+// Check for due scheduled orders every minute
+export const startScheduledOrderReleaser = () => {
+  startRecurringJob('Scheduled order release', releaseDueScheduledOrders, () => RELEASE_CHECK_INTERVAL_MS);
+};
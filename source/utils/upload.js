@@ -0,0 +1,57 @@
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs';
+
+// Build a multer instance that stores images on disk under uploads/<folder>/
+export const createImageUpload = (folder, prefix) => {
+    const storage = multer.diskStorage({
+        destination: (req, file, cb) => {
+            const uploadPath = `uploads/${folder}/`;
+            if (!fs.existsSync(uploadPath)) {
+                fs.mkdirSync(uploadPath, { recursive: true });
+            }
+            cb(null, uploadPath);
+        },
+        filename: (req, file, cb) => {
+            const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+            cb(null, `${prefix}-` + uniqueSuffix + path.extname(file.originalname));
+        }
+    });
+
+    return multer({
+        storage: storage,
+        limits: {
+            fileSize: 5 * 1024 * 1024 // 5MB limit
+        },
+        fileFilter: (req, file, cb) => {
+            const allowedTypes = /jpeg|jpg|png|gif|webp/;
+            const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+            const mimetype = allowedTypes.test(file.mimetype);
+            if (mimetype && extname) {
+                return cb(null, true);
+            } else {
+                cb(new Error('Only image files are allowed (jpeg, jpg, png, gif, webp)'));
+            }
+        }
+    });
+};
+
+// Absolute path of a stored upload. basename() keeps a stored name from pointing outside the folder.
+export const getUploadPath = (folder, filename) => path.resolve('uploads', folder, path.basename(filename));
+
+// Delete files multer stored for a request (req.file, or req.files from array() or fields())
+export const removeUploadedFiles = async (files) => {
+    if (!files) return;
+    const list = files.path ? [files] : Object.values(files).flat();
+    await Promise.all(list.map(file => fs.promises.unlink(file.path).catch(() => {})));
+};
+
+// Put before the multer middleware: when the request ends with an error response, its uploads are deleted
+export const discardUploadsOnError = (req, res, next) => {
+    res.on('finish', () => {
+        if (res.statusCode >= 300) {
+            removeUploadedFiles(req.file || req.files);
+        }
+    });
+    next();
+};
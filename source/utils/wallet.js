@@ -0,0 +1,217 @@
+import Order from '../models/Order.js';
+import Wallet from '../models/Wallet.js';
+import WalletTransaction from '../models/WalletTransaction.js';
+import { getPaymentProvider, isMockProviderEnvironment, isOnlinePaymentEnabled } from './payments.js';
+import { HttpError } from './errors.js';
+import { roundMoney } from './money.js';
+
+// Top-up limits per transaction, in rupees
+export const MIN_TOPUP_AMOUNT = parseFloat(process.env.WALLET_MIN_TOPUP) || 10;
+export const MAX_TOPUP_AMOUNT = parseFloat(process.env.WALLET_MAX_TOPUP) || 10000;
+
+export class WalletError extends HttpError {}
+
+export const getOrCreateWallet = (userId) => Wallet.findOneAndUpdate(
+  { user: userId },
+  { $setOnInsert: { user: userId } },
+  { new: true, upsert: true }
+);
+
+/**
+ * Add money to a wallet and record it in the ledger.
+ * `details` may carry source, order, reference, reason and createdBy.
+ */
+export const creditWallet = async (userId, amount, details) => {
+  const wallet = await Wallet.findOneAndUpdate(
+    { user: userId },
+    { $inc: { balance: roundMoney(amount) } },
+    { new: true, upsert: true }
+  );
+
+  const transaction = await WalletTransaction.create({
+    ...details,
+    wallet: wallet._id,
+    user: userId,
+    type: 'credit',
+    amount: roundMoney(amount),
+    balanceAfter: wallet.balance
+  });
+
+  return { wallet, transaction };
+};
+
+// The balance check and the deduction happen in a single update, so concurrent checkouts cannot overspend
+export const debitWallet = async (userId, amount, details) => {
+  const wallet = await Wallet.findOneAndUpdate(
+    { user: userId, balance: { $gte: roundMoney(amount) } },
+    { $inc: { balance: -roundMoney(amount) } },
+    { new: true }
+  );
+
+  if (!wallet) {
+    throw new WalletError('Insufficient wallet balance', 402);
+  }
+
+  const transaction = await WalletTransaction.create({
+    ...details,
+    wallet: wallet._id,
+    user: userId,
+    type: 'debit',
+    amount: roundMoney(amount),
+    balanceAfter: wallet.balance
+  });
+
+  return { wallet, transaction };
+};
+
+const sumGrandTotals = (orders) => roundMoney(orders.reduce((sum, order) => sum + order.grandTotal, 0));
+
+// Pay for the orders of one checkout with a single wallet debit. The orders are not saved here.
+export const payOrdersFromWallet = async (orders) => {
+  const { transaction } = await debitWallet(orders[0].userId, sumGrandTotals(orders), {
+    source: 'order_payment',
+    order: orders.length === 1 ? orders[0]._id : undefined,
+    reference: orders[0].checkoutGroup
+  });
+
+  for (const order of orders) {
+    order.paymentStatus = 'completed';
+    order.paymentId = `WALLET_${transaction._id}`;
+    order.paidAt = new Date();
+  }
+
+  return transaction;
+};
+
+// Put the money back when a paid checkout could not be stored
+export const refundCheckoutToWallet = async (orders) => {
+  const paidOrders = orders.filter(order => order.paymentStatus === 'completed');
+  if (paidOrders.length === 0) {
+    return null;
+  }
+
+  const { transaction } = await creditWallet(paidOrders[0].userId, sumGrandTotals(paidOrders), {
+    source: 'order_refund',
+    reference: paidOrders[0].checkoutGroup,
+    reason: 'Checkout could not be completed'
+  });
+  return transaction;
+};
+
+// Refund a paid order into the customer's wallet, whatever it was paid with.
+// The order's refundedAt is claimed first, so a replayed cancel never credits the wallet twice.
+export const refundOrderToWallet = async (order) => {
+  if (order.paymentMethod === 'cod' || order.paymentStatus !== 'completed') {
+    return null;
+  }
+
+  const refundedAt = new Date();
+  const claimed = await Order.updateOne(
+    { _id: order._id, refundedAt: null },
+    { $set: { refundedAt } }
+  );
+  if (claimed.matchedCount === 0) {
+    return null;
+  }
+
+  const { transaction } = await creditWallet(order.userId, order.grandTotal, {
+    source: 'order_refund',
+    order: order._id,
+    reason: order.cancellationReason
+  });
+
+  order.paymentStatus = 'refunded';
+  order.refundId = `WALLET_${transaction._id}`;
+  order.refundedTo = 'wallet';
+  order.refundedAt = refundedAt;
+
+  return { refundId: order.refundId, amount: order.grandTotal };
+};
+
+// Top-ups through the mock provider would be free money, so they only work in development and testing
+const getTopupProvider = () => {
+  if (!isOnlinePaymentEnabled()) {
+    throw new WalletError('Wallet top-ups are not available right now', 503);
+  }
+  const provider = getPaymentProvider();
+  if (provider.name === 'mock' && !isMockProviderEnvironment()) {
+    throw new WalletError('Wallet top-ups are not available right now', 503);
+  }
+  return provider;
+};
+
+// Start a top-up. The wallet is only credited once the provider confirms the payment.
+export const startWalletTopup = async (userId, amount) => {
+  const provider = getTopupProvider();
+  const wallet = await getOrCreateWallet(userId);
+  const intent = await provider.createIntent({
+    amount: roundMoney(amount),
+    reference: `WALLET_${wallet._id}`,
+    metadata: { walletId: wallet._id.toString(), purpose: 'wallet_topup' }
+  });
+
+  const transaction = await WalletTransaction.create({
+    wallet: wallet._id,
+    user: userId,
+    type: 'credit',
+    source: 'topup',
+    amount: roundMoney(amount),
+    status: 'pending',
+    reference: intent.intentId
+  });
+
+  return {
+    transaction,
+    payment: {
+      provider: provider.name,
+      intentId: intent.intentId,
+      clientSecret: intent.clientSecret,
+      amount: intent.amount,
+      currency: intent.currency
+    }
+  };
+};
+
+/**
+ * Settle a pending top-up with the provider's result. Only the call that flips the
+ * transaction out of `pending` touches the balance, so client confirmation and
+ * webhook delivery can both arrive without crediting twice.
+ */
+export const settleWalletTopup = async (intentId, { status }) => {
+  const nextStatus = status === 'succeeded' ? 'completed' : 'failed';
+  const transaction = await WalletTransaction.findOneAndUpdate(
+    { reference: intentId, source: 'topup', status: 'pending' },
+    { status: nextStatus },
+    { new: true }
+  );
+
+  if (!transaction) {
+    return WalletTransaction.findOne({ reference: intentId, source: 'topup' });
+  }
+
+  if (nextStatus === 'completed') {
+    const wallet = await Wallet.findByIdAndUpdate(
+      transaction.wallet,
+      { $inc: { balance: transaction.amount } },
+      { new: true }
+    );
+    transaction.balanceAfter = wallet.balance;
+    await transaction.save();
+  }
+
+  return transaction;
+};
+
+export const confirmWalletTopup = async (userId, intentId, paymentDetails) => {
+  const pending = await WalletTransaction.findOne({ reference: intentId, source: 'topup', user: userId });
+  if (!pending) {
+    throw new WalletError('Top-up not found', 404);
+  }
+  if (pending.status !== 'pending') {
+    return { transaction: pending };
+  }
+
+  const result = await getTopupProvider().confirm(intentId, { paymentDetails });
+  const transaction = await settleWalletTopup(intentId, result);
+  return { transaction, failureReason: result.failureReason };
+};